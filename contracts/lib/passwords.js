@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password storage: salted scrypt, self-describing so cost can change later.
+ *
+ *   scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+ *
+ * Hashes made with older parameters still verify; needsRehash() tells the
+ * caller to upgrade them on the next successful login.
+ *
+ * Shared by login-service and monolith-service (required from /contracts).
+ */
+const SCRYPT_N = parseInt(process.env.PASSWORD_SCRYPT_N || "16384", 10);
+const SCRYPT_R = parseInt(process.env.PASSWORD_SCRYPT_R || "8", 10);
+const SCRYPT_P = parseInt(process.env.PASSWORD_SCRYPT_P || "1", 10);
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+function scryptOpts(N, r, p) {
+  // Node's default maxmem (32MB) is too small once N*r grows past the defaults.
+  return { N, r, p, maxmem: 256 * N * r + 1024 * 1024 };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, scryptOpts(SCRYPT_N, SCRYPT_R, SCRYPT_P));
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+function parseHash(stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return null;
+  const [, N, r, p, salt, key] = parts;
+  return {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+    salt: Buffer.from(salt, "base64"),
+    key: Buffer.from(key, "base64"),
+  };
+}
+
+async function verifyPassword(password, stored) {
+  const h = parseHash(stored);
+  if (!h || !h.key.length) return false;
+  const key = await scrypt(password, h.salt, h.key.length, scryptOpts(h.N, h.r, h.p));
+  return crypto.timingSafeEqual(key, h.key);
+}
+
+function needsRehash(stored) {
+  const h = parseHash(stored);
+  return !h || h.N !== SCRYPT_N || h.r !== SCRYPT_R || h.p !== SCRYPT_P;
+}
+
+// Constant-time compare for legacy password_plain rows awaiting migration.
+function plainMatches(password, plain) {
+  if (plain == null) return false;
+  const a = crypto.createHash("sha256").update(String(password)).digest();
+  const b = crypto.createHash("sha256").update(String(plain)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash, plainMatches };
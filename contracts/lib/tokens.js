@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+
+/**
+ * Signed, self-contained credentials (JWT compact form, HS256).
+ *
+ *   header:  { alg: "HS256", typ: "JWT", kid }
+ *   payload: { sub: username, sid: session id, iat, exp }  (seconds)
+ *
+ * Keys come from TOKEN_SIGNING_KEYS="kid1:secret1,kid2:secret2". Tokens are
+ * signed with TOKEN_SIGNING_KID (default: first key) and verify against any
+ * listed kid, so a rollover is: add the new key everywhere, switch the
+ * signing kid on login-service, drop the old key once its tokens expired.
+ *
+ * Shared by login-service, gateway-service and monolith-service (required
+ * from /contracts), so signing and verification cannot drift apart.
+ */
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function parseSigningKeys(spec) {
+  const keys = new Map();
+  for (const part of String(spec || "").split(",")) {
+    const i = part.indexOf(":");
+    if (i <= 0) continue;
+    const kid = part.slice(0, i).trim();
+    const secret = part.slice(i + 1).trim();
+    if (kid && secret) keys.set(kid, Buffer.from(secret, "utf8"));
+  }
+  return keys;
+}
+
+function loadSigningConfig(env = process.env) {
+  const keys = parseSigningKeys(env.TOKEN_SIGNING_KEYS);
+  const kid = env.TOKEN_SIGNING_KID || keys.keys().next().value || "";
+  return { keys, kid };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function signToken({ username, sessionId, expiresAtMs }, { keys, kid }) {
+  const key = keys.get(kid);
+  if (!key) throw new Error(`no signing key for kid "${kid}"`);
+
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT", kid }));
+  const payload = b64url(
+    JSON.stringify({
+      sub: username,
+      sid: Number(sessionId),
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(expiresAtMs / 1000),
+    })
+  );
+  const sig = b64url(hmac(key, `${header}.${payload}`));
+  return `${header}.${payload}.${sig}`;
+}
+
+function isSignedToken(token) {
+  return typeof token === "string" && token.split(".").length === 3;
+}
+
+/**
+ * Returns { username, sessionId, expiresAtMs } for a well-formed, correctly
+ * signed, unexpired token; null otherwise. Revocation is the caller's job.
+ */
+function verifyToken(token, keys) {
+  if (!isSignedToken(token)) return null;
+  const [header, payload, sig] = token.split(".");
+
+  let h;
+  let p;
+  try {
+    h = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    p = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!h || h.alg !== "HS256" || !keys.has(h.kid)) return null;
+
+  const expected = hmac(keys.get(h.kid), `${header}.${payload}`);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const expiresAtMs = Number(p.exp) * 1000;
+  if (!p.sub || !p.sid || !(expiresAtMs > Date.now())) return null;
+
+  return { username: String(p.sub), sessionId: Number(p.sid), expiresAtMs };
+}
+
+module.exports = { loadSigningConfig, parseSigningKeys, signToken, verifyToken, isSignedToken };
@@ -62,3 +62,17 @@ CALL seed_perf_users() $$
 DROP PROCEDURE seed_perf_users $$
 
 DELIMITER ;
+
+-- ============================================================
+-- PASSWORD HASHING (same as login-db/init/002_password_hash.sql)
+-- password_plain is legacy; rehashed into password_hash on login.
+-- ============================================================
+ALTER TABLE users
+  ADD COLUMN password_hash VARCHAR(255) NULL AFTER user_name,
+  MODIFY COLUMN password_plain VARCHAR(255) NULL;
+
+-- ============================================================
+-- SIGNED TOKENS (same as login-db/init/004_signed_tokens.sql)
+-- ============================================================
+ALTER TABLE sessions
+  MODIFY COLUMN credential VARCHAR(512) NOT NULL;
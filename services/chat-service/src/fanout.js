@@ -0,0 +1,268 @@
+/**
+ * Fan-out bus for realtime delivery across chat-service replicas.
+ *
+ * Every replica publishes the messages it stores and consumes the messages
+ * stored by every replica (itself included). Adapters:
+ *  - "memory": in-process only (single replica, the original behaviour)
+ *  - "mysql":  tails the `messages` table by `id`; no extra infrastructure
+ *
+ * A bus exposes: publish(msg), onMessage(handler), start(), stop().
+ *
+ * Room messages use the defaults; direct messages and notifications run
+ * their own buses over `direct_messages` / `notifications` (select/table/
+ * toMessage options).
+ */
+
+// Messages are keyed by room_id; the current room_name comes from chat_rooms
+// so history and live delivery follow RenameRoom.
+const MESSAGE_SELECT = `
+  SELECT m.id, m.room_id, r.room_name, m.person_name, m.text, m.msg_id, m.reply_to_seq,
+         m.thread_root_seq, m.client_ts_ms, m.server_ts_ms, m.edited_at_ms, m.deleted_at_ms
+  FROM messages m
+  JOIN chat_rooms r ON r.id = m.room_id`;
+
+function rowToMessage(r) {
+  return {
+    room_id: Number(r.room_id),
+    room_name: r.room_name,
+    person_name: r.person_name,
+    text: r.text,
+    server_seq: Number(r.id),
+    client_ts_ms: Number(r.client_ts_ms || 0),
+    server_ts_ms: Number(r.server_ts_ms || 0),
+    msg_id: r.msg_id || "",
+    edited_at_ms: Number(r.edited_at_ms || 0),
+    deleted: r.deleted_at_ms != null,
+    reply_to_seq: Number(r.reply_to_seq || 0),
+    thread_root_seq: Number(r.thread_root_seq || 0),
+    reactions: [],
+  };
+}
+
+const DIRECT_MESSAGE_SELECT = `
+  SELECT m.id, m.conversation_id, m.sender_name, m.text, m.msg_id,
+         m.client_ts_ms, m.server_ts_ms, c.user_a, c.user_b
+  FROM direct_messages m
+  JOIN direct_conversations c ON c.id = m.conversation_id`;
+
+function rowToDirectMessage(r) {
+  return {
+    conversation_id: Number(r.conversation_id),
+    sender_name: r.sender_name,
+    recipient_name: r.sender_name === r.user_a ? r.user_b : r.user_a,
+    text: r.text,
+    server_seq: Number(r.id),
+    client_ts_ms: Number(r.client_ts_ms || 0),
+    server_ts_ms: Number(r.server_ts_ms || 0),
+    msg_id: r.msg_id || "",
+  };
+}
+
+const NOTIFICATION_SELECT = `
+  SELECT m.id, m.person_name, m.kind, m.message_id, m.sender_name, m.text_preview,
+         m.created_at_ms, m.acked_at_ms, r.room_name
+  FROM notifications m
+  JOIN chat_rooms r ON r.id = m.room_id`;
+
+const NOTIFICATION_KIND = { mention: "NOTIFICATION_MENTION" };
+
+// person_name is not part of the proto message; it routes live delivery.
+function rowToNotification(r) {
+  return {
+    notification_id: Number(r.id),
+    person_name: r.person_name,
+    kind: NOTIFICATION_KIND[r.kind],
+    room_name: r.room_name,
+    server_seq: Number(r.message_id),
+    sender_name: r.sender_name,
+    text: r.text_preview,
+    created_at_ms: Number(r.created_at_ms),
+    acked: r.acked_at_ms != null,
+  };
+}
+
+// Larger jumps are treated as permanent (e.g. bulk rollback), not tracked.
+const MAX_TRACKED_GAP = 1000;
+
+function createMemoryBus() {
+  const handlers = new Set();
+
+  return {
+    kind: "memory",
+    publish(msg) {
+      for (const h of handlers) h(msg);
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    async start() {},
+    async stop() {},
+  };
+}
+
+/**
+ * Tails `table` by id: `select` (no WHERE) is re-run every `pollMs` for rows
+ * with `idColumn` > cursor and the batch handed to `onRows(rows)`.
+ *
+ * AUTO_INCREMENT ids are allocated before commit, so a lower id can become
+ * visible after a higher one. Skipped ids are kept in `gaps` and re-queried
+ * until they show up or `gapTimeoutMs` passes (rolled-back insert).
+ *
+ * The cursor and gaps only move once `onRows` resolves; if it throws the
+ * same rows come back on the next poll (at-least-once).
+ *
+ * A tail exposes: start(), stop().
+ */
+function createTableTail({
+  pool,
+  table,
+  select,
+  idColumn = "m.id",
+  pollMs = 100,
+  batchSize = 500,
+  gapTimeoutMs = 5000,
+  onRows,
+  label = table,
+}) {
+  const gaps = new Map(); // id -> first seen missing (ms)
+
+  let cursor = 0;
+  let timer = null;
+  let polling = false;
+  let stopped = true;
+
+  async function poll() {
+    if (polling || stopped) return;
+    polling = true;
+    try {
+      const now = Date.now();
+      for (const [id, since] of gaps) {
+        if (now - since > gapTimeoutMs) gaps.delete(id);
+      }
+
+      const gapIds = Array.from(gaps.keys());
+      const gapSql = gapIds.length
+        ? ` OR ${idColumn} IN (${gapIds.map(() => "?").join(",")})`
+        : "";
+
+      const [rows] = await pool.query(
+        `${select}
+         WHERE ${idColumn} > ?${gapSql}
+         ORDER BY ${idColumn} ASC
+         LIMIT ${batchSize}`,
+        [cursor, ...gapIds]
+      );
+
+      const fresh = [];
+      const filled = [];
+      const missing = [];
+      let next = cursor;
+      for (const r of rows) {
+        const id = Number(r.id);
+        if (gaps.has(id)) {
+          filled.push(id);
+          fresh.push(r);
+          continue;
+        }
+        if (id <= next) continue;
+
+        if (id - next <= MAX_TRACKED_GAP) {
+          for (let m = next + 1; m < id; m++) missing.push(m);
+        }
+        next = id;
+        fresh.push(r);
+      }
+
+      if (fresh.length) await onRows(fresh);
+
+      for (const id of filled) gaps.delete(id);
+      for (const id of missing) gaps.set(id, now);
+      cursor = next;
+    } catch (e) {
+      console.error(`[tail] ${label} poll failed:`, e.message || e);
+    } finally {
+      polling = false;
+      if (!stopped) timer = setTimeout(poll, pollMs);
+    }
+  }
+
+  return {
+    async start() {
+      const [rows] = await pool.query(`SELECT COALESCE(MAX(id), 0) AS max_id FROM ${table}`);
+      cursor = Number(rows[0].max_id);
+      stopped = false;
+      timer = setTimeout(poll, pollMs);
+    },
+    async stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+// Tails `table` (aliased `m` in `select`) with createTableTail.
+function createMysqlBus({
+  pool,
+  pollMs = 100,
+  batchSize = 500,
+  gapTimeoutMs = 5000,
+  select = MESSAGE_SELECT,
+  table = "messages",
+  toMessage = rowToMessage,
+}) {
+  const handlers = new Set();
+
+  const tail = createTableTail({
+    pool,
+    table,
+    select,
+    pollMs,
+    batchSize,
+    gapTimeoutMs,
+    label: `fanout:mysql ${table}`,
+    async onRows(rows) {
+      for (const r of rows) {
+        const msg = toMessage(r);
+        for (const h of handlers) h(msg);
+      }
+    },
+  });
+
+  return {
+    kind: "mysql",
+    // Rows are picked up by the tail, including this replica's own inserts.
+    publish() {},
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    start: tail.start,
+    stop: tail.stop,
+  };
+}
+
+function createFanoutBus(kind, opts = {}) {
+  switch ((kind || "memory").toLowerCase()) {
+    case "memory":
+      return createMemoryBus();
+    case "mysql":
+      return createMysqlBus(opts);
+    default:
+      throw new Error(`unknown FANOUT_BUS "${kind}" (expected memory|mysql)`);
+  }
+}
+
+module.exports = {
+  createFanoutBus,
+  createMemoryBus,
+  createMysqlBus,
+  createTableTail,
+  rowToMessage,
+  rowToDirectMessage,
+  rowToNotification,
+  MESSAGE_SELECT,
+  DIRECT_MESSAGE_SELECT,
+  NOTIFICATION_SELECT,
+};
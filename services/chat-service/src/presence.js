@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const os = require("os");
+
+/**
+ * Room presence derived from live Subscribe streams, shared across
+ * chat-service replicas through the `room_presence` table.
+ *
+ * Each replica owns its rows (replica_id) and rewrites its stream counts on
+ * every heartbeat, so a crashed replica's rows age out after `ttlMs`.
+ * A sweep recomputes presence for watched rooms and reports changes.
+ *
+ * A tracker exposes: connect, disconnect, touch, getRoomPresence,
+ * onChange(handler), start(watchedRooms), stop().
+ */
+
+const STATE = {
+  offline: "PRESENCE_OFFLINE",
+  online: "PRESENCE_ONLINE",
+  idle: "PRESENCE_IDLE",
+};
+
+// Per (room, person) aggregate over all replicas; params: ttl us, idle us.
+const PRESENCE_AGG = `
+  SELECT room_id, person_name,
+         MAX(connections > 0 AND last_seen_at > NOW(3) - INTERVAL ? MICROSECOND) AS live,
+         MAX(last_active_at) > NOW(3) - INTERVAL ? MICROSECOND AS active,
+         UNIX_TIMESTAMP(MAX(last_active_at)) * 1000 AS last_active_ms,
+         UNIX_TIMESTAMP(MAX(last_seen_at)) * 1000 AS last_seen_ms
+  FROM room_presence`;
+
+function stateOf(r) {
+  if (!r || !Number(r.live)) return STATE.offline;
+  return Number(r.active) ? STATE.online : STATE.idle;
+}
+
+function createPresenceTracker({
+  pool,
+  heartbeatMs = 10000,
+  ttlMs = 30000,
+  idleMs = 300000,
+  sweepMs = 2000,
+  touchMs = 5000,
+}) {
+  const replicaId = `${os.hostname()}-${crypto.randomUUID().slice(0, 8)}`.slice(0, 64);
+  const handlers = new Set();
+
+  // `${room_id}:${person}` -> { room_id, person_name, count }; count 0 is kept
+  // until the next heartbeat has written it.
+  const local = new Map();
+  // room_id -> Map(person_name -> { state, last_active_ms })
+  const snapshots = new Map();
+  // `${room_id}:${person}` -> ms of this replica's last touch write
+  const touchedAt = new Map();
+
+  let watchedRooms = () => [];
+  let heartbeatTimer = null;
+  let sweepTimer = null;
+  let stopped = true;
+
+  const aggParams = () => [ttlMs * 1000, idleMs * 1000];
+
+  function key(room_id, person_name) {
+    return `${room_id}:${person_name}`;
+  }
+
+  async function connect(room_id, person_name) {
+    const k = key(room_id, person_name);
+    const entry = local.get(k) || { room_id, person_name, count: 0 };
+    entry.count++;
+    local.set(k, entry);
+    await pool.query(
+      `INSERT INTO room_presence (room_id, person_name, replica_id, connections, last_seen_at, last_active_at)
+       VALUES (?, ?, ?, ?, NOW(3), NOW(3))
+       ON DUPLICATE KEY UPDATE connections = VALUES(connections),
+                               last_seen_at = NOW(3), last_active_at = NOW(3)`,
+      [room_id, person_name, replicaId, entry.count]
+    );
+  }
+
+  async function disconnect(room_id, person_name) {
+    const entry = local.get(key(room_id, person_name));
+    if (!entry || entry.count === 0) return;
+    entry.count--;
+    await pool.query(
+      "UPDATE room_presence SET connections = ? WHERE room_id = ? AND person_name = ? AND replica_id = ?",
+      [entry.count, room_id, person_name, replicaId]
+    );
+  }
+
+  // Activity (e.g. SendMessage) keeps a connected person ONLINE rather than IDLE.
+  // At most one write per person per room every `touchMs`: idle is measured in
+  // minutes, so a busy sender does not add a write to every message.
+  async function touch(room_id, person_name) {
+    const k = key(room_id, person_name);
+    const now = Date.now();
+    if (now - (touchedAt.get(k) || 0) < touchMs) return;
+    touchedAt.set(k, now);
+    await pool.query(
+      `UPDATE room_presence SET last_active_at = NOW(3)
+       WHERE room_id = ? AND person_name = ? AND connections > 0`,
+      [room_id, person_name]
+    );
+  }
+
+  async function getRoomPresence(room_id) {
+    const [rows] = await pool.query(
+      `SELECT rp.person_name, p.live, p.active, p.last_active_ms, p.last_seen_ms
+       FROM room_people rp
+       LEFT JOIN (${PRESENCE_AGG} WHERE room_id = ? GROUP BY room_id, person_name) p
+         ON p.person_name = rp.person_name
+       WHERE rp.room_id = ?
+       ORDER BY rp.joined_at ASC`,
+      [...aggParams(), room_id, room_id]
+    );
+    return rows.map((r) => ({
+      person_name: r.person_name,
+      state: stateOf(r),
+      last_seen_ms: Math.round(Number(r.last_seen_ms || 0)),
+      last_active_ms: Math.round(Number(r.last_active_ms || 0)),
+    }));
+  }
+
+  async function heartbeat() {
+    if (stopped) return;
+    try {
+      const entries = Array.from(local.values());
+      if (entries.length) {
+        // timestamps come from the DB clock so replicas never disagree
+        await pool.query(
+          `INSERT INTO room_presence (room_id, person_name, replica_id, connections)
+           VALUES ?
+           ON DUPLICATE KEY UPDATE connections = VALUES(connections), last_seen_at = NOW(3)`,
+          [entries.map((e) => [e.room_id, e.person_name, replicaId, e.count])]
+        );
+        for (const [k, e] of local) {
+          if (e.count === 0) local.delete(k);
+        }
+      }
+      const now = Date.now();
+      for (const [k, at] of touchedAt) {
+        if (now - at >= touchMs) touchedAt.delete(k);
+      }
+      await pool.query(
+        "DELETE FROM room_presence WHERE last_seen_at < NOW(3) - INTERVAL 1 DAY LIMIT 1000"
+      );
+    } catch (e) {
+      console.error("[presence] heartbeat failed:", e.message || e);
+    } finally {
+      if (!stopped) heartbeatTimer = setTimeout(heartbeat, heartbeatMs);
+    }
+  }
+
+  async function sweep() {
+    if (stopped) return;
+    try {
+      const watching = new Set(watchedRooms());
+      const roomIds = Array.from(watching);
+      for (const id of snapshots.keys()) {
+        if (!watching.has(id)) snapshots.delete(id);
+      }
+
+      if (roomIds.length) {
+        const [rows] = await pool.query(
+          `SELECT p.*, r.room_name
+           FROM (${PRESENCE_AGG} WHERE room_id IN (?) GROUP BY room_id, person_name) p
+           JOIN chat_rooms r ON r.id = p.room_id`,
+          [...aggParams(), roomIds]
+        );
+
+        const byRoom = new Map();
+        for (const r of rows) {
+          const room_id = Number(r.room_id);
+          if (!byRoom.has(room_id)) byRoom.set(room_id, { room_name: r.room_name, people: new Map() });
+          byRoom.get(room_id).people.set(r.person_name, {
+            state: stateOf(r),
+            last_active_ms: Math.round(Number(r.last_active_ms || 0)),
+          });
+        }
+
+        for (const room_id of roomIds) {
+          const next = byRoom.get(room_id)?.people || new Map();
+          const prev = snapshots.get(room_id);
+          snapshots.set(room_id, next);
+          // first sweep of a room only primes the snapshot (clients start from GetPresence)
+          if (!prev) continue;
+
+          const room_name = byRoom.get(room_id)?.room_name || "";
+          const names = new Set([...prev.keys(), ...next.keys()]);
+          for (const person_name of names) {
+            const before = prev.get(person_name)?.state || STATE.offline;
+            const after = next.get(person_name) || { state: STATE.offline, last_active_ms: 0 };
+            if (before === after.state) continue;
+            const update = { person_name, state: after.state, last_active_ms: after.last_active_ms };
+            for (const h of handlers) h(room_id, room_name, update);
+          }
+        }
+      }
+    } catch (e) {
+      console.error("[presence] sweep failed:", e.message || e);
+    } finally {
+      if (!stopped) sweepTimer = setTimeout(sweep, sweepMs);
+    }
+  }
+
+  return {
+    replicaId,
+    connect,
+    disconnect,
+    touch,
+    getRoomPresence,
+    onChange(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    // watched: () => iterable of room ids that have presence listeners on this replica
+    start(watched) {
+      watchedRooms = watched;
+      stopped = false;
+      heartbeatTimer = setTimeout(heartbeat, heartbeatMs);
+      sweepTimer = setTimeout(sweep, sweepMs);
+    },
+    stop() {
+      stopped = true;
+      if (heartbeatTimer) clearTimeout(heartbeatTimer);
+      if (sweepTimer) clearTimeout(sweepTimer);
+    },
+  };
+}
+
+module.exports = { createPresenceTracker, PRESENCE_STATE: STATE };
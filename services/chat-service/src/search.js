@@ -0,0 +1,42 @@
+/**
+ * Query handling for SearchMessages on top of the `ft_messages_text`
+ * FULLTEXT index (monolith-service/src/search.js uses the same rules).
+ *
+ * A query is split into words; every word of at least MIN_TERM_LENGTH
+ * characters must match a word prefix, shorter ones are only highlighted.
+ */
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+
+// innodb_ft_min_token_size defaults to 3; shorter tokens are not indexed.
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+
+function tokenize(text) {
+  return Array.from(String(text || "").toLowerCase().matchAll(WORD_RE), (m) => m[0]);
+}
+
+// -> { terms: words to highlight, required: words that must match }
+function parseQuery(query) {
+  const terms = Array.from(new Set(tokenize(query))).slice(0, MAX_TERMS);
+  return { terms, required: terms.filter((t) => t.length >= MIN_TERM_LENGTH) };
+}
+
+// Tokens are word characters only, so no BOOLEAN MODE operator can leak in.
+function toBooleanQuery(required) {
+  return required.map((t) => `+${t}*`).join(" ");
+}
+
+// [{ start, end }] for every word in `text` that starts with one of `terms`.
+function highlight(text, terms) {
+  const ranges = [];
+  for (const m of String(text || "").matchAll(WORD_RE)) {
+    const word = m[0].toLowerCase();
+    if (terms.some((t) => word.startsWith(t))) {
+      ranges.push({ start: m.index, end: m.index + m[0].length });
+    }
+  }
+  return ranges;
+}
+
+module.exports = { parseQuery, toBooleanQuery, highlight, MIN_TERM_LENGTH };
@@ -2,6 +2,19 @@ const path = require("path");
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const mysql = require("mysql2/promise");
+const {
+  createFanoutBus,
+  createTableTail,
+  rowToMessage,
+  rowToDirectMessage,
+  rowToNotification,
+  MESSAGE_SELECT,
+  DIRECT_MESSAGE_SELECT,
+  NOTIFICATION_SELECT,
+} = require("./fanout");
+const { createPresenceTracker } = require("./presence");
+const { createTypingTracker } = require("./typing");
+const { parseQuery, toBooleanQuery, highlight, MIN_TERM_LENGTH } = require("./search");
 
 const PORT = process.env.PORT || "50054";
 
@@ -11,6 +24,38 @@ const DB_USER = process.env.DB_USER || "chatuser";
 const DB_PASSWORD = process.env.DB_PASSWORD || "chatpw";
 const DB_NAME = process.env.DB_NAME || "chatdb";
 
+// memory = single replica; mysql = tail `messages` so scaled replicas see each other's sends
+const FANOUT_BUS = process.env.FANOUT_BUS || "memory";
+const FANOUT_POLL_MS = parseInt(process.env.FANOUT_POLL_MS || "100", 10);
+// how often room_access_events (kick/ban/delete from chatroom-service) is tailed
+const ACCESS_POLL_MS = parseInt(process.env.ACCESS_POLL_MS || "500", 10);
+// how often message_edits is tailed to push edits/deletes into live streams
+const EDIT_POLL_MS = parseInt(process.env.EDIT_POLL_MS || "200", 10);
+// how often message_reaction_events is tailed
+const REACTION_POLL_MS = parseInt(process.env.REACTION_POLL_MS || "200", 10);
+// how often read_receipt_events is tailed
+const RECEIPT_POLL_MS = parseInt(process.env.RECEIPT_POLL_MS || "500", 10);
+// how often the room_deletions outbox is checked for rooms to purge
+const PURGE_POLL_MS = parseInt(process.env.PURGE_POLL_MS || "2000", 10);
+
+// presence: replicas heartbeat their stream counts; a stream whose replica has
+// been silent for PRESENCE_TTL_MS counts as gone
+const PRESENCE_HEARTBEAT_MS = parseInt(process.env.PRESENCE_HEARTBEAT_MS || "10000", 10);
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS || "30000", 10);
+const PRESENCE_IDLE_MS = parseInt(process.env.PRESENCE_IDLE_MS || "300000", 10);
+const PRESENCE_SWEEP_MS = parseInt(process.env.PRESENCE_SWEEP_MS || "2000", 10);
+// SendMessage refreshes last_active_at at most this often per (room, person)
+const PRESENCE_TOUCH_MS = parseInt(process.env.PRESENCE_TOUCH_MS || "5000", 10);
+
+// typing: an indicator lapses TYPING_TTL_MS after its last refresh; each person
+// may write at most TYPING_MAX_PER_WINDOW typing events per TYPING_WINDOW_MS
+// (across replicas). TYPING_POLL_MS applies to the typing_events tail (mysql bus).
+const TYPING_TTL_MS = parseInt(process.env.TYPING_TTL_MS || "6000", 10);
+const TYPING_POLL_MS = parseInt(process.env.TYPING_POLL_MS || "150", 10);
+const TYPING_REFRESH_MS = parseInt(process.env.TYPING_REFRESH_MS || "2000", 10);
+const TYPING_MAX_PER_WINDOW = parseInt(process.env.TYPING_MAX_PER_WINDOW || "10", 10);
+const TYPING_WINDOW_MS = parseInt(process.env.TYPING_WINDOW_MS || "10000", 10);
+
 const PROTO_PATH = "/contracts/proto/chat.proto";
 
 
@@ -30,17 +75,91 @@ function loadProto(p) {
 const chat = loadProto(PROTO_PATH);
 
 let pool;
+let bus;
+let directBus;
+let notificationBus;
+let presence;
+let typing;
 
-// room_name -> Set(streamCall)
+// room_id -> Set(subscriber)  (see makeSubscriber); keyed by id so streams survive RenameRoom
 const subscribers = new Map();
-function roomSet(room) {
-  if (!subscribers.has(room)) subscribers.set(room, new Set());
-  return subscribers.get(room);
+function roomSet(roomId) {
+  if (!subscribers.has(roomId)) subscribers.set(roomId, new Set());
+  return subscribers.get(roomId);
+}
+
+async function getRoomId(room_name) {
+  const [rows] = await pool.query("SELECT id FROM chat_rooms WHERE room_name = ? LIMIT 1", [
+    room_name,
+  ]);
+  return rows.length ? Number(rows[0].id) : null;
+}
+
+// Deliver a message from the bus to this replica's local streams.
+function broadcastLocal(msg) {
+  // a message ends its sender's typing indicator on every replica
+  typing.clear(msg.room_id, msg.person_name);
+
+  const set = subscribers.get(msg.room_id);
+  if (!set) return;
+  for (const s of set) {
+    try {
+      s.write(msg);
+    } catch {
+      set.delete(s);
+    }
+  }
+  if (set.size === 0) subscribers.delete(msg.room_id);
+}
+
+async function findByMsgId(conn, room_id, msg_id) {
+  const [rows] = await conn.execute(
+    "SELECT id, server_ts_ms FROM messages WHERE room_id = ? AND msg_id = ? LIMIT 1",
+    [room_id, msg_id]
+  );
+  if (!rows.length) return null;
+  return { server_seq: Number(rows[0].id), server_ts_ms: Number(rows[0].server_ts_ms) };
+}
+
+// Thread root of a message in the room (itself unless it is a reply); null if missing.
+async function getThreadRoot(room_id, server_seq) {
+  const [rows] = await pool.query(
+    "SELECT id, thread_root_seq FROM messages WHERE id = ? AND room_id = ? LIMIT 1",
+    [server_seq, room_id]
+  );
+  if (!rows.length) return null;
+  return Number(rows[0].thread_root_seq || rows[0].id);
+}
+
+// message id -> [{ emoji, count }] in order of first use
+async function loadReactions(ids) {
+  const byMessage = new Map();
+  if (!ids.length) return byMessage;
+  const [rows] = await pool.query(
+    `SELECT message_id, emoji, COUNT(*) AS n
+     FROM message_reactions
+     WHERE message_id IN (?)
+     GROUP BY message_id, emoji
+     ORDER BY MIN(created_at) ASC`,
+    [ids]
+  );
+  for (const r of rows) {
+    const id = Number(r.message_id);
+    if (!byMessage.has(id)) byMessage.set(id, []);
+    byMessage.get(id).push({ emoji: r.emoji, count: Number(r.n) });
+  }
+  return byMessage;
+}
+
+async function attachReactions(messages) {
+  const byMessage = await loadReactions(messages.map((m) => m.server_seq));
+  for (const m of messages) m.reactions = byMessage.get(m.server_seq) || [];
+  return messages;
 }
 
 async function SendMessage(call, callback) {
   try {
-    const { room_name, person_name, text, client_ts_ms, msg_id } = call.request;
+    const { room_name, person_name, text, client_ts_ms, msg_id, reply_to_seq } = call.request;
 
     if (!room_name || !person_name || !text) {
       return callback({
@@ -49,19 +168,57 @@ async function SendMessage(call, callback) {
       });
     }
 
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    let thread_root = 0;
+    if (Number(reply_to_seq || 0) > 0) {
+      thread_root = await getThreadRoot(room_id, Number(reply_to_seq));
+      if (!thread_root) {
+        return callback({
+          code: grpc.status.NOT_FOUND,
+          message: "reply_to_seq not found in this room",
+        });
+      }
+    }
+
     const server_ts_ms = Date.now();
 
     const conn = await pool.getConnection();
     try {
-      const [res] = await conn.execute(
-        `INSERT INTO messages (room_name, person_name, text, msg_id, client_ts_ms, server_ts_ms)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [room_name, person_name, text, msg_id || null, client_ts_ms || null, server_ts_ms]
-      );
+      let res;
+      try {
+        [res] = await conn.execute(
+          `INSERT INTO messages
+             (room_id, room_name, person_name, text, msg_id, reply_to_seq, thread_root_seq,
+              client_ts_ms, server_ts_ms)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            room_id,
+            room_name,
+            person_name,
+            text,
+            msg_id || null,
+            thread_root ? Number(reply_to_seq) : null,
+            thread_root || null,
+            client_ts_ms || null,
+            server_ts_ms,
+          ]
+        );
+      } catch (e) {
+        // Retried send: uq_messages_room_msg_id hit -> answer with the original, no re-broadcast
+        if (!msg_id || e.code !== "ER_DUP_ENTRY") throw e;
+        const original = await findByMsgId(conn, room_id, msg_id);
+        if (!original) throw e;
+        return callback(null, { ok: true, message: "DUPLICATE", ...original });
+      }
 
       const server_seq = Number(res.insertId);
 
       const msg = {
+        room_id,
         room_name,
         person_name,
         text,
@@ -69,17 +226,21 @@ async function SendMessage(call, callback) {
         client_ts_ms: Number(client_ts_ms || 0),
         server_ts_ms: Number(server_ts_ms),
         msg_id: msg_id || "",
+        reply_to_seq: thread_root ? Number(reply_to_seq) : 0,
+        thread_root_seq: thread_root,
+        reactions: [],
       };
 
-      // Broadcast realtime
-      const set = roomSet(room_name);
-      for (const s of set) {
-        try {
-          s.write(msg);
-        } catch {
-          set.delete(s);
-        }
-      }
+      // Broadcast realtime (to every replica via the fan-out bus)
+      bus.publish(msg);
+
+      storeMentions(msg).catch((e) => {
+        console.error("[mentions] store failed:", e.message || e);
+      });
+
+      presence.touch(room_id, person_name).catch((e) => {
+        console.error("[presence] touch failed:", e.message || e);
+      });
 
       return callback(null, {
         ok: true,
@@ -95,25 +256,1135 @@ async function SendMessage(call, callback) {
   }
 }
 
+// ---------- EDIT / DELETE ----------
+// Locks the message row and checks the caller may change it: the author, the
+// room owner/moderator, or an admin.
+// Same resolution as chatroom-service getRole: chat_rooms.owner_name is the
+// owner even if their room_people row was never promoted.
+async function getRoomRole(conn, room_id, person_name) {
+  const [rows] = await conn.query(
+    `SELECT r.owner_name, rp.role
+     FROM chat_rooms r
+     LEFT JOIN room_people rp ON rp.room_id = r.id AND rp.person_name = ?
+     WHERE r.id = ?
+     LIMIT 1`,
+    [person_name, room_id]
+  );
+  if (!rows.length) return null;
+  if (rows[0].owner_name && rows[0].owner_name === person_name) return "owner";
+  return rows[0].role || null;
+}
+
+async function lockMessageForChange(conn, room_id, server_seq, person_name, is_admin) {
+  const [rows] = await conn.query(
+    "SELECT id, person_name, text, deleted_at_ms FROM messages WHERE id = ? AND room_id = ? FOR UPDATE",
+    [server_seq, room_id]
+  );
+  if (!rows.length) {
+    return { err: { code: grpc.status.NOT_FOUND, details: "message not found" } };
+  }
+  const row = rows[0];
+  if (row.deleted_at_ms != null) {
+    return { err: { code: grpc.status.FAILED_PRECONDITION, details: "message already deleted" } };
+  }
+  if (row.person_name !== person_name && !is_admin) {
+    const role = await getRoomRole(conn, room_id, person_name);
+    if (role !== "owner" && role !== "moderator") {
+      return {
+        err: { code: grpc.status.PERMISSION_DENIED, details: "only the author or a room moderator" },
+      };
+    }
+  }
+  return { row };
+}
+
+// Applies one edit/delete and its audit row in a transaction. Live streams are
+// updated by the message_edits tail, on every replica.
+async function changeMessage(req, kind, text) {
+  const { room_name, server_seq, person_name, is_admin } = req;
+  const seq = Number(server_seq || 0);
+  if (!room_name || !person_name || seq <= 0) {
+    return {
+      err: {
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "room_name, server_seq, person_name required",
+      },
+    };
+  }
+  const room_id = await getRoomId(room_name);
+  if (!room_id) {
+    return { err: { code: grpc.status.NOT_FOUND, details: "room not found" } };
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { row, err } = await lockMessageForChange(conn, room_id, seq, person_name, !!is_admin);
+    if (err) {
+      await conn.rollback();
+      return { err };
+    }
+
+    const edited_at_ms = Date.now();
+    if (kind === "edit") {
+      await conn.query("UPDATE messages SET text = ?, edited_at_ms = ? WHERE id = ?", [
+        text,
+        edited_at_ms,
+        seq,
+      ]);
+    } else {
+      await conn.query("UPDATE messages SET text = '', deleted_at_ms = ? WHERE id = ?", [
+        edited_at_ms,
+        seq,
+      ]);
+    }
+    await conn.query(
+      `INSERT INTO message_edits (message_id, room_id, kind, editor_name, old_text, new_text, edited_at_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [seq, room_id, kind, person_name, row.text, kind === "edit" ? text : "", edited_at_ms]
+    );
+    await conn.commit();
+    return { edited_at_ms };
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+async function EditMessage(call, callback) {
+  try {
+    const { text } = call.request;
+    if (!text) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, details: "text required" });
+    }
+    const { err, edited_at_ms } = await changeMessage(call.request, "edit", text);
+    if (err) return callback(err);
+    return callback(null, { ok: true, message: "OK", edited_at_ms });
+  } catch (e) {
+    console.error("[EditMessage] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "EditMessage failed" });
+  }
+}
+
+async function DeleteMessage(call, callback) {
+  try {
+    const { err } = await changeMessage(call.request, "delete");
+    if (err) return callback(err);
+    return callback(null, { ok: true, message: "OK" });
+  } catch (e) {
+    console.error("[DeleteMessage] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "DeleteMessage failed" });
+  }
+}
+
+// ---------- REACTIONS / THREADS ----------
+const MAX_EMOJI_LENGTH = 32;
+
+async function changeReaction(req, added) {
+  const { room_name, server_seq, person_name } = req;
+  const emoji = (req.emoji || "").trim();
+  const seq = Number(server_seq || 0);
+  if (!room_name || !person_name || !emoji || seq <= 0) {
+    return {
+      err: {
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "room_name, server_seq, person_name, emoji required",
+      },
+    };
+  }
+  if (emoji.length > MAX_EMOJI_LENGTH) {
+    return { err: { code: grpc.status.INVALID_ARGUMENT, details: "emoji too long" } };
+  }
+  const room_id = await getRoomId(room_name);
+  if (!room_id) {
+    return { err: { code: grpc.status.NOT_FOUND, details: "room not found" } };
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      "SELECT id, deleted_at_ms FROM messages WHERE id = ? AND room_id = ? FOR UPDATE",
+      [seq, room_id]
+    );
+    if (!rows.length || rows[0].deleted_at_ms != null) {
+      await conn.rollback();
+      return { err: { code: grpc.status.NOT_FOUND, details: "message not found" } };
+    }
+
+    const [res] = added
+      ? await conn.query(
+          "INSERT IGNORE INTO message_reactions (message_id, room_id, person_name, emoji) VALUES (?, ?, ?, ?)",
+          [seq, room_id, person_name, emoji]
+        )
+      : await conn.query(
+          "DELETE FROM message_reactions WHERE message_id = ? AND person_name = ? AND emoji = ?",
+          [seq, person_name, emoji]
+        );
+    if (res.affectedRows > 0) {
+      await conn.query(
+        `INSERT INTO message_reaction_events (message_id, room_id, person_name, emoji, added)
+         VALUES (?, ?, ?, ?, ?)`,
+        [seq, room_id, person_name, emoji, added]
+      );
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  return { reactions: (await loadReactions([seq])).get(seq) || [] };
+}
+
+async function AddReaction(call, callback) {
+  try {
+    const { err, reactions } = await changeReaction(call.request, true);
+    if (err) return callback(err);
+    return callback(null, { ok: true, message: "OK", reactions });
+  } catch (e) {
+    console.error("[AddReaction] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "AddReaction failed" });
+  }
+}
+
+async function RemoveReaction(call, callback) {
+  try {
+    const { err, reactions } = await changeReaction(call.request, false);
+    if (err) return callback(err);
+    return callback(null, { ok: true, message: "OK", reactions });
+  } catch (e) {
+    console.error("[RemoveReaction] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "RemoveReaction failed" });
+  }
+}
+
+async function GetThread(call, callback) {
+  try {
+    const { room_name, server_seq, limit, after_server_seq } = call.request;
+    if (!room_name || !Number(server_seq)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "room_name, server_seq required",
+      });
+    }
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "room not found" });
+    }
+    const root = await getThreadRoot(room_id, Number(server_seq));
+    if (!root) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "message not found" });
+    }
+
+    const lim = Math.max(1, Math.min(200, Number(limit || 50)));
+    const after = Number(after_server_seq || 0);
+
+    const [parentRows] = await pool.query(`${MESSAGE_SELECT} WHERE m.id = ?`, [root]);
+    const [rows] = await pool.query(
+      `${MESSAGE_SELECT}
+       WHERE m.thread_root_seq = ? AND m.id > ?
+       ORDER BY m.id ASC
+       LIMIT ${lim + 1}`,
+      [root, after]
+    );
+
+    const has_more = rows.length > lim;
+    const [parent, ...replies] = await attachReactions(
+      [...parentRows, ...rows.slice(0, lim)].map(rowToMessage)
+    );
+    const next_cursor = replies.length ? replies[replies.length - 1].server_seq : 0;
+    return callback(null, { parent, replies, next_cursor, has_more });
+  } catch (e) {
+    console.error("[GetThread] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "GetThread failed" });
+  }
+}
+
+// ---------- READ STATE ----------
+async function MarkRead(call, callback) {
+  try {
+    const { room_name, person_name, server_seq } = call.request;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "room_name, person_name required",
+      });
+    }
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "room not found" });
+    }
+
+    const [maxRows] = await pool.query(
+      "SELECT COALESCE(MAX(id), 0) AS max_id FROM messages WHERE room_id = ?",
+      [room_id]
+    );
+    const newest = Number(maxRows[0].max_id);
+    const requested = Number(server_seq || 0);
+    const target = requested > 0 ? Math.min(requested, newest) : newest;
+
+    // Only advancing writes touch the row or produce a receipt.
+    const [res] = await pool.query(
+      `UPDATE room_people SET last_read_seq = ?
+       WHERE room_id = ? AND person_name = ? AND last_read_seq < ?`,
+      [target, room_id, person_name, target]
+    );
+    if (res.affectedRows > 0) {
+      await pool.query(
+        "INSERT INTO read_receipt_events (room_id, person_name, last_read_seq) VALUES (?, ?, ?)",
+        [room_id, person_name, target]
+      );
+      return callback(null, { ok: true, message: "OK", last_read_seq: target });
+    }
+
+    const [rows] = await pool.query(
+      "SELECT last_read_seq FROM room_people WHERE room_id = ? AND person_name = ? LIMIT 1",
+      [room_id, person_name]
+    );
+    if (!rows.length) {
+      return callback({
+        code: grpc.status.PERMISSION_DENIED,
+        details: "not a member of this room",
+      });
+    }
+    return callback(null, {
+      ok: true,
+      message: "OK",
+      last_read_seq: Number(rows[0].last_read_seq),
+    });
+  } catch (e) {
+    console.error("[MarkRead] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "MarkRead failed" });
+  }
+}
+
+// ---------- TYPING ----------
+async function SetTyping(call, callback) {
+  try {
+    const { room_name, person_name, is_typing } = call.request;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "room_name, person_name required",
+      });
+    }
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "room not found" });
+    }
+
+    const expires_at_ms = await typing.set(room_id, room_name, person_name, !!is_typing);
+    if (expires_at_ms === null) {
+      return callback({
+        code: grpc.status.RESOURCE_EXHAUSTED,
+        details: "typing updates rate-limited; retry shortly",
+      });
+    }
+    return callback(null, { ok: true, message: "OK", expires_at_ms });
+  } catch (e) {
+    console.error("[SetTyping] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "SetTyping failed" });
+  }
+}
+
+// SubscribeEvents always gets RoomEvent.typing; plain Subscribe gets a
+// ChatMessage with `typing` set (server_seq 0) only with include_typing.
+function broadcastTyping(room_id, room_name, update) {
+  const set = subscribers.get(room_id);
+  if (!set) return;
+  const server_ts_ms = Date.now();
+  const legacy = {
+    room_name,
+    person_name: update.person_name,
+    text: "",
+    server_seq: 0,
+    server_ts_ms,
+    typing: update,
+  };
+  for (const s of set) {
+    if (!s.events && !s.include_typing) continue;
+    try {
+      s.event({ room_name, server_ts_ms, typing: update }, s.include_typing ? legacy : undefined);
+    } catch {
+      set.delete(s);
+    }
+  }
+}
+
+// ---------- SEARCH ----------
+// Membership is part of the query (room_people join), so a person only ever
+// finds messages from rooms they are currently in.
+async function SearchMessages(call, callback) {
+  try {
+    const { person_name, query, room_name, author, from_ts_ms, to_ts_ms, limit } = call.request;
+    if (!person_name || !query) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "person_name, query required",
+      });
+    }
+    const { terms, required } = parseQuery(query);
+    if (!required.length) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: `query needs a word of at least ${MIN_TERM_LENGTH} characters`,
+      });
+    }
+
+    const lim = Math.max(1, Math.min(100, Number(limit || 20)));
+    const before = Number(call.request.before_server_seq || 0);
+    const from = Number(from_ts_ms || 0);
+    const to = Number(to_ts_ms || 0);
+
+    const where = ["MATCH(m.text) AGAINST (? IN BOOLEAN MODE)", "m.deleted_at_ms IS NULL"];
+    const params = [person_name, toBooleanQuery(required)];
+    if (room_name) {
+      where.push("r.room_name = ?");
+      params.push(room_name);
+    }
+    if (author) {
+      where.push("m.person_name = ?");
+      params.push(author);
+    }
+    if (from > 0) {
+      where.push("m.server_ts_ms >= ?");
+      params.push(from);
+    }
+    if (to > 0) {
+      where.push("m.server_ts_ms < ?");
+      params.push(to);
+    }
+    if (before > 0) {
+      where.push("m.id < ?");
+      params.push(before);
+    }
+
+    const [rows] = await pool.query(
+      `${MESSAGE_SELECT}
+       JOIN room_people rp ON rp.room_id = m.room_id AND rp.person_name = ?
+       WHERE ${where.join(" AND ")}
+       ORDER BY m.id DESC
+       LIMIT ${lim + 1}`,
+      params
+    );
+
+    const has_more = rows.length > lim;
+    const messages = await attachReactions(rows.slice(0, lim).map(rowToMessage));
+    const hits = messages.map((message) => ({
+      message,
+      highlights: highlight(message.text, terms),
+    }));
+    const next_cursor = messages.length ? messages[messages.length - 1].server_seq : 0;
+    return callback(null, { hits, next_cursor, has_more });
+  } catch (e) {
+    console.error("[SearchMessages] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "SearchMessages failed" });
+  }
+}
+
+// ---------- MENTIONS / NOTIFICATIONS ----------
+// "@name" preceded by start/non-word; trailing "." / "-" ends a sentence, not the name.
+const MENTION_RE = /(?:^|[^\w@])@([\w.-]{1,100})/g;
+const MAX_MENTIONS = 50;
+const NOTIFICATION_PREVIEW_CHARS = 200;
+
+// person_name -> Set(subscriber) for SubscribeNotifications
+const notificationSubscribers = new Map();
+
+function parseMentions(text) {
+  const names = new Set();
+  for (const m of text.matchAll(MENTION_RE)) {
+    const name = m[1].replace(/[.-]+$/, "");
+    if (name) names.add(name);
+  }
+  return Array.from(names).slice(0, MAX_MENTIONS);
+}
+
+// One notification per mentioned room member; non-members are dropped by the join.
+async function storeMentions(msg) {
+  const names = parseMentions(msg.text).filter((n) => n !== msg.person_name);
+  if (!names.length) return;
+
+  const preview = Array.from(msg.text).slice(0, NOTIFICATION_PREVIEW_CHARS).join("");
+  const [res] = await pool.query(
+    `INSERT IGNORE INTO notifications
+       (person_name, kind, room_id, message_id, sender_name, text_preview, created_at_ms)
+     SELECT rp.person_name, 'mention', ?, ?, ?, ?, ?
+     FROM room_people rp
+     WHERE rp.room_id = ? AND rp.person_name IN (?)`,
+    [msg.room_id, msg.server_seq, msg.person_name, preview, msg.server_ts_ms, msg.room_id, names]
+  );
+  if (res.affectedRows === 0) return;
+
+  const [rows] = await pool.query(`${NOTIFICATION_SELECT} WHERE m.message_id = ?`, [
+    msg.server_seq,
+  ]);
+  for (const r of rows) notificationBus.publish(rowToNotification(r));
+}
+
+function deliverNotification(n) {
+  const set = notificationSubscribers.get(n.person_name);
+  if (!set) return;
+  for (const s of set) {
+    try {
+      s.write(n);
+    } catch {
+      set.delete(s);
+    }
+  }
+}
+
+async function ListNotifications(call, callback) {
+  try {
+    const { person_name, limit, before_notification_id, unacked_only } = call.request;
+    if (!person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, details: "person_name required" });
+    }
+    const lim = Math.max(1, Math.min(100, Number(limit || 20)));
+    const before = Number(before_notification_id || 0);
+
+    const where = ["m.person_name = ?"];
+    const params = [person_name];
+    if (unacked_only) where.push("m.acked_at_ms IS NULL");
+    if (before > 0) {
+      where.push("m.id < ?");
+      params.push(before);
+    }
+
+    const [rows] = await pool.query(
+      `${NOTIFICATION_SELECT}
+       WHERE ${where.join(" AND ")}
+       ORDER BY m.id DESC
+       LIMIT ${lim + 1}`,
+      params
+    );
+
+    const has_more = rows.length > lim;
+    const notifications = rows.slice(0, lim).map(rowToNotification);
+    const next_cursor = notifications.length
+      ? notifications[notifications.length - 1].notification_id
+      : 0;
+    return callback(null, { notifications, next_cursor, has_more });
+  } catch (e) {
+    console.error("[ListNotifications] error:", e);
+    return callback({
+      code: grpc.status.UNKNOWN,
+      details: e.message || "ListNotifications failed",
+    });
+  }
+}
+
+async function AckNotification(call, callback) {
+  try {
+    const { person_name, notification_id } = call.request;
+    if (!person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, details: "person_name required" });
+    }
+    const id = Number(notification_id || 0);
+
+    const [res] = await pool.query(
+      `UPDATE notifications SET acked_at_ms = ?
+       WHERE person_name = ? AND acked_at_ms IS NULL${id > 0 ? " AND id = ?" : ""}`,
+      id > 0 ? [Date.now(), person_name, id] : [Date.now(), person_name]
+    );
+
+    if (id > 0 && res.affectedRows === 0) {
+      const [rows] = await pool.query(
+        "SELECT id FROM notifications WHERE id = ? AND person_name = ? LIMIT 1",
+        [id, person_name]
+      );
+      if (!rows.length) {
+        return callback({ code: grpc.status.NOT_FOUND, details: "notification not found" });
+      }
+    }
+    return callback(null, { ok: true, message: "OK", acked_count: res.affectedRows });
+  } catch (e) {
+    console.error("[AckNotification] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "AckNotification failed" });
+  }
+}
+
+async function replayNotifications(sub, person_name, sinceId) {
+  let cursor = sinceId;
+  for (;;) {
+    const [rows] = await pool.query(
+      `${NOTIFICATION_SELECT}
+       WHERE m.person_name = ? AND m.id > ?
+       ORDER BY m.id ASC
+       LIMIT ${REPLAY_BATCH}`,
+      [person_name, cursor]
+    );
+    for (const r of rows) sub.replay(rowToNotification(r));
+    if (rows.length < REPLAY_BATCH) return;
+    cursor = Number(rows[rows.length - 1].id);
+  }
+}
+
+function SubscribeNotifications(call) {
+  const { person_name, since_notification_id } = call.request;
+  if (!person_name) {
+    call.destroy({ code: grpc.status.INVALID_ARGUMENT, details: "person_name required" });
+    return;
+  }
+  const sinceId = Number(since_notification_id || 0);
+
+  const sub = makeSubscriber(call, person_name, {
+    include_presence: false,
+    events: false,
+    seqOf: (n) => n.notification_id,
+  });
+  if (!notificationSubscribers.has(person_name)) {
+    notificationSubscribers.set(person_name, new Set());
+  }
+  const set = notificationSubscribers.get(person_name);
+  set.add(sub);
+
+  const cleanup = () => {
+    set.delete(sub);
+    if (set.size === 0 && notificationSubscribers.get(person_name) === set) {
+      notificationSubscribers.delete(person_name);
+    }
+  };
+  call.on("cancelled", cleanup);
+  call.on("close", cleanup);
+  call.on("error", cleanup);
+
+  if (sinceId <= 0) {
+    sub.goLive();
+    return;
+  }
+
+  replayNotifications(sub, person_name, sinceId)
+    .then(() => sub.goLive())
+    .catch((e) => {
+      console.error("[SubscribeNotifications] replay failed:", e);
+      cleanup();
+      call.destroy({ code: grpc.status.UNAVAILABLE, details: "replay failed" });
+    });
+}
+
+const REPLAY_BATCH = 500;
+// Replayed ids are remembered this long so a late-committed row arriving on
+// the live bus is not delivered twice (must exceed the bus gap timeout).
+const REPLAY_DEDUP_MS = 10000;
+
+function toRoomEvent(msg) {
+  return { room_name: msg.room_name, server_ts_ms: msg.server_ts_ms, message: msg };
+}
+
+/**
+ * Wraps a stream call so it can be registered for live delivery before the
+ * replay query runs: live messages are buffered until replay finishes, then
+ * flushed minus anything the replay already sent.
+ *
+ * `events` streams (SubscribeEvents) get every message as a RoomEvent plus the
+ * non-message events; plain Subscribe streams only ever see ChatMessage.
+ * Inbox and notification streams reuse it; `seqOf` picks their dedup key.
+ */
+function makeSubscriber(
+  call,
+  person_name,
+  { include_presence, include_typing, include_updates, events, seqOf = (m) => m.server_seq }
+) {
+  let replaying = true;
+  let buffer = [];
+  let replayed = new Set();
+
+  const send = (item) => {
+    if (!item.msg) {
+      const out = events ? item.event : item.legacy;
+      if (out) call.write(out);
+      return;
+    }
+    if (replayed && replayed.has(seqOf(item.msg))) return;
+    call.write(events ? toRoomEvent(item.msg) : item.msg);
+  };
+  const push = (item) => {
+    if (replaying) buffer.push(item);
+    else send(item);
+  };
+
+  const sub = {
+    call,
+    person_name,
+    include_presence,
+    include_typing,
+    include_updates,
+    events,
+    write(msg) {
+      push({ msg });
+    },
+    // RoomEvent without a message payload; plain Subscribe streams get
+    // `legacy` (a ChatMessage) instead, or nothing.
+    event(evt, legacy) {
+      push({ event: evt, legacy });
+    },
+    replay(msg) {
+      replayed.add(seqOf(msg));
+      call.write(events ? toRoomEvent(msg) : msg);
+    },
+    goLive() {
+      replaying = false;
+      const pending = buffer;
+      buffer = null;
+      for (const item of pending) send(item);
+      if (replayed.size === 0) replayed = null;
+      else setTimeout(() => { replayed = null; }, REPLAY_DEDUP_MS).unref();
+    },
+  };
+  return sub;
+}
+
+// `legacy` re-sends an already delivered message, so plain Subscribe streams
+// only get it with include_updates.
+function broadcastEvent(room_id, evt, legacy) {
+  const set = subscribers.get(room_id);
+  if (!set) return;
+  for (const s of set) {
+    if (!s.events && !(legacy && s.include_updates)) continue;
+    try {
+      s.event(evt, legacy);
+    } catch {
+      set.delete(s);
+    }
+  }
+}
+
+async function replaySince(sub, room_id, sinceSeq) {
+  let cursor = sinceSeq;
+  for (;;) {
+    const [rows] = await pool.query(
+      `${MESSAGE_SELECT}
+       WHERE m.room_id = ? AND m.id > ?
+       ORDER BY m.id ASC
+       LIMIT ${REPLAY_BATCH}`,
+      [room_id, cursor]
+    );
+    for (const m of await attachReactions(rows.map(rowToMessage))) sub.replay(m);
+    if (rows.length < REPLAY_BATCH) return;
+    cursor = Number(rows[rows.length - 1].id);
+  }
+}
+
 function Subscribe(call) {
-  const { room_name } = call.request;
+  openSubscription(call, false);
+}
+
+function SubscribeEvents(call) {
+  openSubscription(call, true);
+}
+
+function openSubscription(call, events) {
+  const {
+    room_name,
+    person_name,
+    since_server_seq,
+    include_presence,
+    include_typing,
+    include_updates,
+  } = call.request;
   if (!room_name) {
     call.destroy(new Error("room_name required"));
     return;
   }
+  const sinceSeq = Number(since_server_seq || 0);
+
+  getRoomId(room_name)
+    .then((room_id) => {
+      if (!room_id) {
+        call.destroy({ code: grpc.status.NOT_FOUND, details: "room not found" });
+        return;
+      }
+      if (call.cancelled) return;
+      startSubscription(call, room_id, person_name, sinceSeq, {
+        include_presence: !!include_presence,
+        include_typing: !events && !!include_typing,
+        include_updates: !events && !!include_updates,
+        events,
+      });
+    })
+    .catch((e) => {
+      console.error("[Subscribe] room lookup failed:", e);
+      call.destroy({ code: grpc.status.UNAVAILABLE, details: "room lookup failed" });
+    });
+}
+
+function startSubscription(call, room_id, person_name, sinceSeq, opts) {
+  const sub = makeSubscriber(call, person_name, opts);
+  const set = roomSet(room_id);
+  set.add(sub);
 
-  const set = roomSet(room_name);
-  set.add(call);
+  presence.connect(room_id, person_name).catch((e) => {
+    console.error("[presence] connect failed:", e.message || e);
+  });
 
-  const cleanup = () => set.delete(call);
+  let closed = false;
+  const cleanup = () => {
+    set.delete(sub);
+    if (set.size === 0 && subscribers.get(room_id) === set) subscribers.delete(room_id);
+    if (closed) return;
+    closed = true;
+    presence.disconnect(room_id, person_name).catch((e) => {
+      console.error("[presence] disconnect failed:", e.message || e);
+    });
+  };
   call.on("cancelled", cleanup);
   call.on("close", cleanup);
   call.on("error", cleanup);
+
+  if (sinceSeq <= 0) {
+    sub.goLive();
+    return;
+  }
+
+  replaySince(sub, room_id, sinceSeq)
+    .then(() => sub.goLive())
+    .catch((e) => {
+      console.error("[Subscribe] replay failed:", e);
+      cleanup();
+      call.destroy({ code: grpc.status.UNAVAILABLE, details: "replay failed" });
+    });
+}
+
+// ---------- ROOM ACCESS ----------
+// chatroom-service logs joins/leaves/kicks/bans/room deletions to
+// room_access_events; every replica tails it (gap-aware, see createTableTail),
+// pushes the matching RoomEvent and ends the affected streams.
+
+const LEAVE_REASON = {
+  leave: "LEAVE_REASON_LEFT",
+  kick: "LEAVE_REASON_KICKED",
+  ban: "LEAVE_REASON_BANNED",
+};
+
+const ACCESS_EVENT_STATUS = {
+  kick: { code: grpc.status.PERMISSION_DENIED, details: "removed from this room" },
+  ban: { code: grpc.status.PERMISSION_DENIED, details: "banned from this room" },
+  room_deleted: { code: grpc.status.NOT_FOUND, details: "room deleted" },
+};
+
+// person_name null = every stream of the room
+function endSubscriptions(room_id, person_name, status) {
+  const set = subscribers.get(room_id);
+  if (!set) return;
+  for (const s of set) {
+    if (person_name != null && s.person_name !== person_name) continue;
+    set.delete(s);
+    s.call.destroy(status);
+  }
+  if (set.size === 0) subscribers.delete(room_id);
+}
+
+async function handleAccessEvents(rows) {
+  for (const r of rows) {
+    const room_id = Number(r.room_id);
+    const evt = { room_name: r.room_name, server_ts_ms: Math.round(Number(r.ts_ms)) };
+
+    if (r.kind === "join") {
+      broadcastEvent(room_id, { ...evt, member_joined: { person_name: r.person_name } });
+    } else if (r.kind === "room_deleted") {
+      broadcastEvent(room_id, { ...evt, room_deleted: {} });
+      endSubscriptions(room_id, null, ACCESS_EVENT_STATUS.room_deleted);
+    } else if (LEAVE_REASON[r.kind]) {
+      if (ACCESS_EVENT_STATUS[r.kind]) {
+        endSubscriptions(room_id, r.person_name, ACCESS_EVENT_STATUS[r.kind]);
+      }
+      broadcastEvent(room_id, {
+        ...evt,
+        member_left: { person_name: r.person_name, reason: LEAVE_REASON[r.kind] },
+      });
+    }
+  }
+}
+
+async function startAccessFeed() {
+  await createTableTail({
+    pool,
+    table: "room_access_events",
+    select: `SELECT e.id, e.room_id, e.room_name, e.person_name, e.kind,
+                    UNIX_TIMESTAMP(e.created_at) * 1000 AS ts_ms
+             FROM room_access_events e`,
+    idColumn: "e.id",
+    pollMs: ACCESS_POLL_MS,
+    label: "access",
+    onRows: handleAccessEvents,
+  }).start();
+}
+
+// ---------- MESSAGE EDITS ----------
+// Every replica tails message_edits (gap-aware); SubscribeEvents streams get
+// message_edited / message_deleted, plain Subscribe streams with
+// include_updates the updated ChatMessage (same server_seq).
+async function handleMessageEdits(rows) {
+  const reactions = await loadReactions(rows.map((r) => Number(r.message_id)));
+  for (const r of rows) {
+    const room_id = Number(r.room_id);
+    const server_seq = Number(r.message_id);
+    const edited_at_ms = Number(r.edited_at_ms);
+    const deleted = r.kind === "delete";
+
+    const evt = { room_name: r.room_name, server_ts_ms: edited_at_ms };
+    if (deleted) {
+      evt.message_deleted = { server_seq, deleted_by: r.editor_name };
+    } else {
+      evt.message_edited = { server_seq, text: r.new_text, edited_by: r.editor_name, edited_at_ms };
+    }
+    broadcastEvent(room_id, evt, {
+      room_name: r.room_name,
+      person_name: r.person_name,
+      text: r.new_text,
+      server_seq,
+      client_ts_ms: Number(r.client_ts_ms || 0),
+      server_ts_ms: Number(r.server_ts_ms || 0),
+      msg_id: r.msg_id || "",
+      edited_at_ms: deleted ? 0 : edited_at_ms,
+      deleted,
+      reply_to_seq: Number(r.reply_to_seq || 0),
+      thread_root_seq: Number(r.thread_root_seq || 0),
+      reactions: reactions.get(server_seq) || [],
+    });
+  }
+}
+
+async function startEditFeed() {
+  await createTableTail({
+    pool,
+    table: "message_edits",
+    select: `SELECT e.id, e.message_id, e.room_id, e.kind, e.editor_name, e.new_text,
+                    e.edited_at_ms, r.room_name, m.person_name, m.msg_id, m.reply_to_seq,
+                    m.thread_root_seq, m.client_ts_ms, m.server_ts_ms
+             FROM message_edits e
+             JOIN messages m ON m.id = e.message_id
+             JOIN chat_rooms r ON r.id = e.room_id`,
+    idColumn: "e.id",
+    pollMs: EDIT_POLL_MS,
+    label: "edits",
+    onRows: handleMessageEdits,
+  }).start();
+}
+
+// ---------- REACTION FEED ----------
+// Same shape as the edit feed: reaction_changed for SubscribeEvents, the
+// message with its new counts for plain Subscribe (include_updates). The
+// cursor only moves once the batch is broadcast, so a failed message fetch
+// retries the batch instead of dropping it.
+async function handleReactionEvents(rows) {
+  const ids = Array.from(new Set(rows.map((r) => Number(r.message_id))));
+  const [msgRows] = await pool.query(`${MESSAGE_SELECT} WHERE m.id IN (?)`, [ids]);
+  const messages = new Map();
+  for (const m of await attachReactions(msgRows.map(rowToMessage))) {
+    messages.set(m.server_seq, m);
+  }
+
+  for (const r of rows) {
+    const msg = messages.get(Number(r.message_id));
+    if (!msg) continue; // purged with its room
+    broadcastEvent(
+      msg.room_id,
+      {
+        room_name: msg.room_name,
+        server_ts_ms: Math.round(Number(r.ts_ms)),
+        reaction_changed: {
+          server_seq: msg.server_seq,
+          person_name: r.person_name,
+          emoji: r.emoji,
+          added: !!r.added,
+          reactions: msg.reactions,
+        },
+      },
+      msg
+    );
+  }
+}
+
+async function startReactionFeed() {
+  await createTableTail({
+    pool,
+    table: "message_reaction_events",
+    select: `SELECT e.id, e.message_id, e.room_id, e.person_name, e.emoji, e.added,
+                    UNIX_TIMESTAMP(e.created_at) * 1000 AS ts_ms
+             FROM message_reaction_events e`,
+    idColumn: "e.id",
+    pollMs: REACTION_POLL_MS,
+    label: "reactions",
+    onRows: handleReactionEvents,
+  }).start();
+}
+
+// ---------- READ RECEIPTS ----------
+// Tailed like the other feeds. Within one batch only the newest marker per
+// (room, person) is pushed, so a burst of MarkRead calls costs one event.
+const RECEIPT_PRUNE_MS = 60000;
+
+function handleReadReceipts(rows) {
+  const latest = new Map();
+  for (const r of rows) latest.set(`${r.room_id}:${r.person_name}`, r);
+  for (const r of latest.values()) {
+    broadcastEvent(Number(r.room_id), {
+      room_name: r.room_name,
+      server_ts_ms: Math.round(Number(r.ts_ms)),
+      read_receipt: { person_name: r.person_name, last_read_seq: Number(r.last_read_seq) },
+    });
+  }
+}
+
+async function pruneReadReceipts() {
+  try {
+    await pool.query(
+      "DELETE FROM read_receipt_events WHERE created_at < NOW(3) - INTERVAL 1 DAY LIMIT 1000"
+    );
+  } catch (e) {
+    console.error("[receipts] prune failed:", e.message || e);
+  } finally {
+    setTimeout(pruneReadReceipts, RECEIPT_PRUNE_MS).unref();
+  }
+}
+
+async function startReceiptFeed() {
+  await createTableTail({
+    pool,
+    table: "read_receipt_events",
+    select: `SELECT e.id, e.room_id, e.person_name, e.last_read_seq, r.room_name,
+                    UNIX_TIMESTAMP(e.created_at) * 1000 AS ts_ms
+             FROM read_receipt_events e
+             JOIN chat_rooms r ON r.id = e.room_id`,
+    idColumn: "e.id",
+    pollMs: RECEIPT_POLL_MS,
+    batchSize: 1000,
+    label: "receipts",
+    onRows: handleReadReceipts,
+  }).start();
+  setTimeout(pruneReadReceipts, RECEIPT_PRUNE_MS).unref();
+}
+
+// ---------- ROOM PURGE ----------
+// Works off the room_deletions outbox written by ChatroomService.DeleteRoom.
+// Deletes are idempotent, so replicas racing on the same row only waste work.
+const PURGE_BATCH = 1000;
+const PURGE_MAX_BACKOFF_S = 300;
+
+async function purgeRoom(row) {
+  const tables = [
+    "messages",
+    "message_edits",
+    "message_reactions",
+    "message_reaction_events",
+    "read_receipt_events",
+    "notifications",
+  ];
+  for (const table of tables) {
+    for (;;) {
+      const [res] = await pool.query(`DELETE FROM ${table} WHERE room_id = ? LIMIT ${PURGE_BATCH}`, [
+        row.room_id,
+      ]);
+      if (res.affectedRows < PURGE_BATCH) break;
+    }
+  }
+  await pool.query(
+    "UPDATE room_deletions SET purged_at = NOW(), attempts = attempts + 1, last_error = NULL WHERE id = ?",
+    [row.id]
+  );
+}
+
+async function pollRoomDeletions() {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, room_id, room_name
+       FROM room_deletions
+       WHERE purged_at IS NULL AND next_attempt_at <= NOW()
+       ORDER BY id ASC
+       LIMIT 10`
+    );
+    for (const r of rows) {
+      try {
+        await purgeRoom(r);
+        console.log(`[purge] room ${r.room_name} (${r.room_id}) purged`);
+      } catch (e) {
+        console.error(`[purge] room ${r.room_name} (${r.room_id}) failed:`, e.message || e);
+        await pool.query(
+          `UPDATE room_deletions
+           SET attempts = attempts + 1,
+               last_error = ?,
+               next_attempt_at = NOW() + INTERVAL LEAST(POW(2, attempts), ${PURGE_MAX_BACKOFF_S}) SECOND
+           WHERE id = ?`,
+          [String(e.message || e).slice(0, 500), r.id]
+        );
+      }
+    }
+  } catch (e) {
+    console.error("[purge] poll failed:", e.message || e);
+  } finally {
+    setTimeout(pollRoomDeletions, PURGE_POLL_MS);
+  }
+}
+
+// ---------- PRESENCE ----------
+function presenceRooms() {
+  const ids = [];
+  for (const [room_id, set] of subscribers) {
+    for (const s of set) {
+      if (s.include_presence) {
+        ids.push(room_id);
+        break;
+      }
+    }
+  }
+  return ids;
+}
+
+// SubscribeEvents gets RoomEvent.presence; plain Subscribe gets a ChatMessage
+// with `presence` set (server_seq 0).
+function broadcastPresence(room_id, room_name, update) {
+  const set = subscribers.get(room_id);
+  if (!set) return;
+  const server_ts_ms = Date.now();
+  for (const s of set) {
+    if (!s.include_presence) continue;
+    try {
+      if (s.events) {
+        s.event({ room_name, server_ts_ms, presence: update });
+      } else {
+        s.write({
+          room_name,
+          person_name: update.person_name,
+          text: "",
+          server_seq: 0,
+          server_ts_ms,
+          presence: update,
+        });
+      }
+    } catch {
+      set.delete(s);
+    }
+  }
+}
+
+async function GetPresence(call, callback) {
+  try {
+    const { room_name } = call.request;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, details: "room_name required" });
+    }
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "room not found" });
+    }
+
+    callback(null, { members: await presence.getRoomPresence(room_id) });
+  } catch (e) {
+    console.error("[GetPresence] error:", e);
+    callback({ code: grpc.status.UNKNOWN, details: e.message || "GetPresence failed" });
+  }
 }
 
 async function GetHistory(call, callback) {
   try {
-    const { room_name, limit } = call.request;
+    const { room_name, limit, before_server_seq, after_server_seq } = call.request;
     if (!room_name) {
       return callback({
         code: grpc.status.INVALID_ARGUMENT,
@@ -121,35 +1392,54 @@ async function GetHistory(call, callback) {
       });
     }
 
+    const room_id = await getRoomId(room_name);
+    if (!room_id) {
+      return callback({ code: grpc.status.NOT_FOUND, details: "room not found" });
+    }
+
     // ✅ clamp + ép kiểu số
     const lim = Math.max(1, Math.min(200, Number(limit ?? 20)));
+    const before = Number(before_server_seq || 0);
+    const after = Number(after_server_seq || 0);
+
+    // after_server_seq pages forward (oldest first); otherwise page backward
+    // from before_server_seq (or the newest row). Both walk idx_messages_room.
+    const forward = after > 0;
+    const where = ["m.room_id = ?"];
+    const params = [room_id];
+    if (after > 0) {
+      where.push("m.id > ?");
+      params.push(after);
+    }
+    if (before > 0) {
+      where.push("m.id < ?");
+      params.push(before);
+    }
 
     const conn = await pool.getConnection();
     try {
       // ✅ IMPORTANT: không dùng LIMIT ? (MySQL hay lỗi prepared stmt)
+      // fetch one extra row to learn has_more
       const sql = `
-        SELECT id, room_name, person_name, text, msg_id, client_ts_ms, server_ts_ms
-        FROM messages
-        WHERE room_name = ?
-        ORDER BY id DESC
-        LIMIT ${lim}
+        ${MESSAGE_SELECT}
+        WHERE ${where.join(" AND ")}
+        ORDER BY m.id ${forward ? "ASC" : "DESC"}
+        LIMIT ${lim + 1}
       `;
 
-      const [rows] = await conn.execute(sql, [room_name]);
+      const [rows] = await conn.execute(sql, params);
 
-      const messages = rows
-        .map((r) => ({
-          room_name: r.room_name,
-          person_name: r.person_name,
-          text: r.text,
-          server_seq: Number(r.id),
-          client_ts_ms: Number(r.client_ts_ms || 0),
-          server_ts_ms: Number(r.server_ts_ms || 0),
-          msg_id: r.msg_id || "",
-        }))
-        .reverse();
-
-      return callback(null, { messages });
+      const has_more = rows.length > lim;
+      const page = await attachReactions(rows.slice(0, lim).map(rowToMessage));
+      if (!forward) page.reverse();
+
+      // next_cursor: pass back as after_server_seq (forward) or before_server_seq (backward)
+      let next_cursor = 0;
+      if (page.length) {
+        next_cursor = forward ? page[page.length - 1].server_seq : page[0].server_seq;
+      }
+
+      return callback(null, { messages: page, next_cursor, has_more });
     } finally {
       conn.release();
     }
@@ -162,6 +1452,280 @@ async function GetHistory(call, callback) {
   }
 }
 
+// ---------- DIRECT MESSAGES ----------
+// Canonical two-party conversations (user_a < user_b). Callers are always one
+// of the two participants; anyone else gets NOT_FOUND.
+
+// person_name -> Set(subscriber) for SubscribeInbox (see makeSubscriber)
+const inboxes = new Map();
+
+const CONVERSATION_NOT_FOUND = { code: grpc.status.NOT_FOUND, details: "conversation not found" };
+
+function toConversation(row, person_name) {
+  return {
+    conversation_id: Number(row.id),
+    peer_name: row.user_a === person_name ? row.user_b : row.user_a,
+    created_at_ms: Number(row.created_at_ms),
+    last_server_seq: Number(row.last_server_seq || 0),
+    last_message_ts_ms: Number(row.last_message_ts_ms || 0),
+  };
+}
+
+async function getConversation(conversation_id, person_name) {
+  const [rows] = await pool.query(
+    "SELECT * FROM direct_conversations WHERE id = ? AND (user_a = ? OR user_b = ?) LIMIT 1",
+    [conversation_id, person_name, person_name]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+// Deliver a direct message from the bus to both participants' local inboxes.
+function deliverDirect(msg) {
+  for (const name of [msg.sender_name, msg.recipient_name]) {
+    const set = inboxes.get(name);
+    if (!set) continue;
+    for (const s of set) {
+      try {
+        s.write(msg);
+      } catch {
+        set.delete(s);
+      }
+    }
+  }
+}
+
+async function OpenDirectConversation(call, callback) {
+  try {
+    const { person_name, peer_name } = call.request;
+    if (!person_name || !peer_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "person_name, peer_name required",
+      });
+    }
+    if (peer_name === person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "cannot open a conversation with yourself",
+      });
+    }
+
+    const [user_a, user_b] = [person_name, peer_name].sort();
+    await pool.query(
+      "INSERT IGNORE INTO direct_conversations (user_a, user_b, created_at_ms) VALUES (?, ?, ?)",
+      [user_a, user_b, Date.now()]
+    );
+    const [rows] = await pool.query(
+      "SELECT * FROM direct_conversations WHERE user_a = ? AND user_b = ? LIMIT 1",
+      [user_a, user_b]
+    );
+    return callback(null, toConversation(rows[0], person_name));
+  } catch (e) {
+    console.error("[OpenDirectConversation] error:", e);
+    return callback({
+      code: grpc.status.UNKNOWN,
+      details: e.message || "OpenDirectConversation failed",
+    });
+  }
+}
+
+async function ListConversations(call, callback) {
+  try {
+    const { person_name, limit } = call.request;
+    if (!person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, details: "person_name required" });
+    }
+    const lim = Math.max(1, Math.min(200, Number(limit || 50)));
+
+    const [rows] = await pool.query(
+      `SELECT * FROM direct_conversations
+       WHERE user_a = ? OR user_b = ?
+       ORDER BY last_message_ts_ms DESC, id DESC
+       LIMIT ${lim}`,
+      [person_name, person_name]
+    );
+    return callback(null, { conversations: rows.map((r) => toConversation(r, person_name)) });
+  } catch (e) {
+    console.error("[ListConversations] error:", e);
+    return callback({
+      code: grpc.status.UNKNOWN,
+      details: e.message || "ListConversations failed",
+    });
+  }
+}
+
+async function SendDirectMessage(call, callback) {
+  try {
+    const { person_name, conversation_id, text, client_ts_ms, msg_id } = call.request;
+    if (!person_name || !Number(conversation_id) || !text) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "person_name, conversation_id, text required",
+      });
+    }
+
+    const conv = await getConversation(conversation_id, person_name);
+    if (!conv) return callback(CONVERSATION_NOT_FOUND);
+
+    const server_ts_ms = Date.now();
+    let res;
+    try {
+      [res] = await pool.query(
+        `INSERT INTO direct_messages (conversation_id, sender_name, text, msg_id, client_ts_ms, server_ts_ms)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [conv.id, person_name, text, msg_id || null, client_ts_ms || null, server_ts_ms]
+      );
+    } catch (e) {
+      // Retried send: answer with the original, no re-delivery
+      if (!msg_id || e.code !== "ER_DUP_ENTRY") throw e;
+      const [rows] = await pool.query(
+        "SELECT id, server_ts_ms FROM direct_messages WHERE conversation_id = ? AND msg_id = ? LIMIT 1",
+        [conv.id, msg_id]
+      );
+      if (!rows.length) throw e;
+      return callback(null, {
+        ok: true,
+        message: "DUPLICATE",
+        server_seq: Number(rows[0].id),
+        server_ts_ms: Number(rows[0].server_ts_ms),
+      });
+    }
+
+    const server_seq = Number(res.insertId);
+    await pool.query(
+      `UPDATE direct_conversations
+       SET last_server_seq = GREATEST(last_server_seq, ?),
+           last_message_ts_ms = GREATEST(last_message_ts_ms, ?)
+       WHERE id = ?`,
+      [server_seq, server_ts_ms, conv.id]
+    );
+
+    directBus.publish({
+      conversation_id: Number(conv.id),
+      sender_name: person_name,
+      recipient_name: conv.user_a === person_name ? conv.user_b : conv.user_a,
+      text,
+      server_seq,
+      client_ts_ms: Number(client_ts_ms || 0),
+      server_ts_ms,
+      msg_id: msg_id || "",
+    });
+
+    return callback(null, { ok: true, message: "OK", server_seq, server_ts_ms });
+  } catch (e) {
+    console.error("[SendDirectMessage] error:", e);
+    return callback({
+      code: grpc.status.UNKNOWN,
+      details: e.message || "SendDirectMessage failed",
+    });
+  }
+}
+
+// Same cursor paging as GetHistory, over idx_direct_messages_conv.
+async function GetDirectHistory(call, callback) {
+  try {
+    const { person_name, conversation_id, limit, before_server_seq, after_server_seq } =
+      call.request;
+    if (!person_name || !Number(conversation_id)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        details: "person_name, conversation_id required",
+      });
+    }
+
+    const conv = await getConversation(conversation_id, person_name);
+    if (!conv) return callback(CONVERSATION_NOT_FOUND);
+
+    const lim = Math.max(1, Math.min(200, Number(limit || 20)));
+    const before = Number(before_server_seq || 0);
+    const after = Number(after_server_seq || 0);
+
+    const forward = after > 0;
+    const where = ["m.conversation_id = ?"];
+    const params = [conv.id];
+    if (after > 0) {
+      where.push("m.id > ?");
+      params.push(after);
+    }
+    if (before > 0) {
+      where.push("m.id < ?");
+      params.push(before);
+    }
+
+    const [rows] = await pool.query(
+      `${DIRECT_MESSAGE_SELECT}
+       WHERE ${where.join(" AND ")}
+       ORDER BY m.id ${forward ? "ASC" : "DESC"}
+       LIMIT ${lim + 1}`,
+      params
+    );
+
+    const has_more = rows.length > lim;
+    const page = rows.slice(0, lim).map(rowToDirectMessage);
+    if (!forward) page.reverse();
+
+    let next_cursor = 0;
+    if (page.length) {
+      next_cursor = forward ? page[page.length - 1].server_seq : page[0].server_seq;
+    }
+    return callback(null, { messages: page, next_cursor, has_more });
+  } catch (e) {
+    console.error("[GetDirectHistory] error:", e);
+    return callback({ code: grpc.status.UNKNOWN, details: e.message || "GetDirectHistory failed" });
+  }
+}
+
+async function replayInbox(sub, person_name, sinceSeq) {
+  let cursor = sinceSeq;
+  for (;;) {
+    const [rows] = await pool.query(
+      `${DIRECT_MESSAGE_SELECT}
+       WHERE (c.user_a = ? OR c.user_b = ?) AND m.id > ?
+       ORDER BY m.id ASC
+       LIMIT ${REPLAY_BATCH}`,
+      [person_name, person_name, cursor]
+    );
+    for (const r of rows) sub.replay(rowToDirectMessage(r));
+    if (rows.length < REPLAY_BATCH) return;
+    cursor = Number(rows[rows.length - 1].id);
+  }
+}
+
+// Registered before the replay runs, like room subscriptions (see makeSubscriber).
+function SubscribeInbox(call) {
+  const { person_name, since_server_seq } = call.request;
+  if (!person_name) {
+    call.destroy({ code: grpc.status.INVALID_ARGUMENT, details: "person_name required" });
+    return;
+  }
+  const sinceSeq = Number(since_server_seq || 0);
+
+  const sub = makeSubscriber(call, person_name, { include_presence: false, events: false });
+  if (!inboxes.has(person_name)) inboxes.set(person_name, new Set());
+  const set = inboxes.get(person_name);
+  set.add(sub);
+
+  const cleanup = () => {
+    set.delete(sub);
+    if (set.size === 0 && inboxes.get(person_name) === set) inboxes.delete(person_name);
+  };
+  call.on("cancelled", cleanup);
+  call.on("close", cleanup);
+  call.on("error", cleanup);
+
+  if (sinceSeq <= 0) {
+    sub.goLive();
+    return;
+  }
+
+  replayInbox(sub, person_name, sinceSeq)
+    .then(() => sub.goLive())
+    .catch((e) => {
+      console.error("[SubscribeInbox] replay failed:", e);
+      cleanup();
+      call.destroy({ code: grpc.status.UNAVAILABLE, details: "replay failed" });
+    });
+}
 
 async function main() {
   pool = mysql.createPool({
@@ -174,11 +1738,84 @@ async function main() {
     connectionLimit: 10,
   });
 
+  // before the bus: broadcastLocal clears typing state
+  typing = createTypingTracker({
+    kind: FANOUT_BUS,
+    pool,
+    ttlMs: TYPING_TTL_MS,
+    pollMs: TYPING_POLL_MS,
+    refreshMs: TYPING_REFRESH_MS,
+    maxPerWindow: TYPING_MAX_PER_WINDOW,
+    windowMs: TYPING_WINDOW_MS,
+  });
+  typing.onChange(broadcastTyping);
+  await typing.start();
+
+  bus = createFanoutBus(FANOUT_BUS, { pool, pollMs: FANOUT_POLL_MS });
+  bus.onMessage(broadcastLocal);
+  await bus.start();
+  console.log(`chat-service fan-out bus: ${bus.kind}`);
+
+  directBus = createFanoutBus(FANOUT_BUS, {
+    pool,
+    pollMs: FANOUT_POLL_MS,
+    select: DIRECT_MESSAGE_SELECT,
+    table: "direct_messages",
+    toMessage: rowToDirectMessage,
+  });
+  directBus.onMessage(deliverDirect);
+  await directBus.start();
+
+  notificationBus = createFanoutBus(FANOUT_BUS, {
+    pool,
+    pollMs: FANOUT_POLL_MS,
+    select: NOTIFICATION_SELECT,
+    table: "notifications",
+    toMessage: rowToNotification,
+  });
+  notificationBus.onMessage(deliverNotification);
+  await notificationBus.start();
+
+  presence = createPresenceTracker({
+    pool,
+    heartbeatMs: PRESENCE_HEARTBEAT_MS,
+    ttlMs: PRESENCE_TTL_MS,
+    idleMs: PRESENCE_IDLE_MS,
+    sweepMs: PRESENCE_SWEEP_MS,
+    touchMs: PRESENCE_TOUCH_MS,
+  });
+  presence.onChange(broadcastPresence);
+  presence.start(presenceRooms);
+
+  await startAccessFeed();
+  await startEditFeed();
+  await startReactionFeed();
+  await startReceiptFeed();
+  setTimeout(pollRoomDeletions, PURGE_POLL_MS);
+
   const server = new grpc.Server();
   server.addService(chat.chatmsg.ChatService.service, {
     SendMessage,
     Subscribe,
     GetHistory,
+    GetPresence,
+    SubscribeEvents,
+    EditMessage,
+    DeleteMessage,
+    AddReaction,
+    RemoveReaction,
+    GetThread,
+    MarkRead,
+    SetTyping,
+    SearchMessages,
+    ListNotifications,
+    AckNotification,
+    SubscribeNotifications,
+    OpenDirectConversation,
+    ListConversations,
+    SendDirectMessage,
+    GetDirectHistory,
+    SubscribeInbox,
   });
 
   const addr = `0.0.0.0:${PORT}`;
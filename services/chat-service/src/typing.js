@@ -0,0 +1,202 @@
+/**
+ * "X is typing…" indicators. The transport follows FANOUT_BUS: with `memory`
+ * (one replica) updates are applied in process; with `mysql` they go through
+ * the `typing_events` MEMORY table, which every replica tails by id. Either
+ * way an indicator lapses `ttlMs` after its last refresh, so no stop event is
+ * ever required.
+ *
+ * Writes are coalesced (a refresh within `refreshMs` of the previous one, or
+ * a stop for someone not typing, is answered from memory) and capped at
+ * `maxPerWindow` per person per `windowMs`. With `mysql` the cap is checked
+ * against the person's rows in `typing_events` by the INSERT itself, so it
+ * holds across replicas (rows are pruned after a minute: keep `windowMs`
+ * below that).
+ *
+ * A tracker exposes: set, clear, onChange(handler), start(), stop().
+ */
+
+const { createTableTail } = require("./fanout");
+
+const SWEEP_MS = 250;
+const PRUNE_MS = 10000;
+
+function createTypingTracker({
+  kind = "memory",
+  pool,
+  ttlMs = 6000,
+  pollMs = 150,
+  refreshMs = 2000,
+  maxPerWindow = 10,
+  windowMs = 10000,
+}) {
+  const shared = (kind || "memory").toLowerCase() === "mysql";
+  const handlers = new Set();
+
+  // room_id -> { room_name, people: Map(person_name -> expires_at_ms) }
+  const rooms = new Map();
+  // `${room_id}:${person}` -> ms of this replica's last typing write
+  const lastWrite = new Map();
+  // person_name -> { start, count } fixed window of writes (memory transport)
+  const windows = new Map();
+
+  const tail = shared
+    ? createTableTail({
+        pool,
+        table: "typing_events",
+        select: `SELECT e.id, e.room_id, e.person_name, e.is_typing, r.room_name
+                 FROM typing_events e
+                 JOIN chat_rooms r ON r.id = e.room_id`,
+        idColumn: "e.id",
+        pollMs,
+        batchSize: 1000,
+        label: "typing_events",
+        onRows: async (rows) => {
+          const now = Date.now();
+          for (const r of rows) {
+            apply(Number(r.room_id), r.room_name, r.person_name, !!r.is_typing, now);
+          }
+        },
+      })
+    : null;
+
+  let prunedAt = 0;
+  let sweepTimer = null;
+  let stopped = true;
+
+  function emit(room_id, room_name, update) {
+    for (const h of handlers) h(room_id, room_name, update);
+  }
+
+  function expiresAt(room_id, person_name) {
+    return rooms.get(room_id)?.people.get(person_name) || 0;
+  }
+
+  function allow(person_name, now) {
+    let w = windows.get(person_name);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      windows.set(person_name, w);
+    }
+    if (w.count >= maxPerWindow) return false;
+    w.count++;
+    return true;
+  }
+
+  // -> false when the person already wrote maxPerWindow rows within windowMs
+  async function insertShared(room_id, person_name, is_typing) {
+    const [res] = await pool.query(
+      `INSERT INTO typing_events (room_id, person_name, is_typing)
+       SELECT ?, ?, ? FROM DUAL
+       WHERE (SELECT COUNT(*) FROM typing_events
+              WHERE person_name = ? AND created_at > NOW(3) - INTERVAL ? MICROSECOND) < ?`,
+      [room_id, person_name, !!is_typing, person_name, windowMs * 1000, maxPerWindow]
+    );
+    return res.affectedRows > 0;
+  }
+
+  // -> expires_at_ms (0 once stopped), or null when rate-limited
+  async function set(room_id, room_name, person_name, is_typing) {
+    const now = Date.now();
+    const k = `${room_id}:${person_name}`;
+    const written = lastWrite.get(k) || 0;
+
+    if (is_typing && now - written < refreshMs) return written + ttlMs;
+    if (!is_typing && !written && !expiresAt(room_id, person_name)) return 0;
+
+    if (shared) {
+      if (!(await insertShared(room_id, person_name, is_typing))) return null;
+    } else {
+      if (!allow(person_name, now)) return null;
+      apply(room_id, room_name, person_name, !!is_typing, now);
+    }
+
+    if (!is_typing) {
+      lastWrite.delete(k);
+      return 0;
+    }
+    lastWrite.set(k, now);
+    return now + ttlMs;
+  }
+
+  function apply(room_id, room_name, person_name, is_typing, now) {
+    let room = rooms.get(room_id);
+    if (!room) {
+      if (!is_typing) return;
+      room = { room_name, people: new Map() };
+      rooms.set(room_id, room);
+    }
+    const wasTyping = room.people.has(person_name);
+
+    if (is_typing) {
+      const expires_at_ms = now + ttlMs;
+      room.people.set(person_name, expires_at_ms);
+      if (wasTyping) return;
+      emit(room_id, room.room_name, { person_name, is_typing: true, expires_at_ms });
+      return;
+    }
+    if (!wasTyping) return;
+    room.people.delete(person_name);
+    if (room.people.size === 0) rooms.delete(room_id);
+    emit(room_id, room.room_name, { person_name, is_typing: false, expires_at_ms: 0 });
+  }
+
+  // Local only: every replica sees the message that ends the indicator.
+  function clear(room_id, person_name) {
+    lastWrite.delete(`${room_id}:${person_name}`);
+    apply(room_id, "", person_name, false, Date.now());
+  }
+
+  function expire(now) {
+    for (const [room_id, room] of rooms) {
+      for (const [person_name, expires_at_ms] of room.people) {
+        if (expires_at_ms <= now) apply(room_id, room.room_name, person_name, false, now);
+      }
+    }
+    for (const [k, at] of lastWrite) {
+      if (now - at > ttlMs) lastWrite.delete(k);
+    }
+    for (const [person_name, w] of windows) {
+      if (now - w.start >= windowMs) windows.delete(person_name);
+    }
+  }
+
+  async function sweep() {
+    if (stopped) return;
+    try {
+      const now = Date.now();
+      expire(now);
+
+      if (shared && now - prunedAt > PRUNE_MS) {
+        prunedAt = now;
+        await pool.query(
+          "DELETE FROM typing_events WHERE created_at < NOW(3) - INTERVAL 1 MINUTE LIMIT 1000"
+        );
+      }
+    } catch (e) {
+      console.error("[typing] sweep failed:", e.message || e);
+    } finally {
+      if (!stopped) sweepTimer = setTimeout(sweep, SWEEP_MS);
+    }
+  }
+
+  return {
+    set,
+    clear,
+    onChange(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    async start() {
+      if (tail) await tail.start();
+      stopped = false;
+      sweepTimer = setTimeout(sweep, SWEEP_MS);
+    },
+    stop() {
+      stopped = true;
+      if (sweepTimer) clearTimeout(sweepTimer);
+      if (tail) tail.stop();
+    },
+  };
+}
+
+module.exports = { createTypingTracker };
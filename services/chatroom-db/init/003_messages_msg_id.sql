@@ -0,0 +1,4 @@
+-- Idempotent SendMessage: a client msg_id may only be stored once per room.
+-- NULL msg_id (legacy clients) is not deduplicated.
+ALTER TABLE messages
+  ADD UNIQUE KEY uq_messages_room_msg_id (room_name, msg_id);
@@ -0,0 +1,8 @@
+-- Room ownership and per-room roles.
+-- owner_name is NULL for rooms created before ownership existed; those can
+-- only be deleted by an admin.
+ALTER TABLE chat_rooms
+  ADD COLUMN owner_name VARCHAR(100) NULL AFTER room_name;
+
+ALTER TABLE room_people
+  ADD COLUMN role ENUM('owner', 'moderator', 'member') NOT NULL DEFAULT 'member' AFTER person_name;
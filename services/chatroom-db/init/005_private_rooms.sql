@@ -0,0 +1,16 @@
+-- Private (invite-only) rooms.
+ALTER TABLE chat_rooms
+  ADD COLUMN is_private TINYINT(1) NOT NULL DEFAULT 0 AFTER owner_name;
+
+-- Pending invitations; a row is removed when the invite is used.
+CREATE TABLE IF NOT EXISTS room_invites (
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  invited_by VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (room_id, person_name),
+  KEY idx_room_invites_person (person_name),
+  CONSTRAINT fk_room_invites_room
+    FOREIGN KEY (room_id) REFERENCES chat_rooms(id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,28 @@
+-- Room bans; expires_at NULL = permanent. Expired rows are simply ignored.
+CREATE TABLE IF NOT EXISTS room_bans (
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  banned_by VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (room_id, person_name),
+  CONSTRAINT fk_room_bans_room
+    FOREIGN KEY (room_id) REFERENCES chat_rooms(id)
+    ON DELETE CASCADE
+);
+
+-- ============================================================
+-- TABLE: room_access_events
+-- Append-only log of people removed from a room (kick / ban),
+-- tailed by id in chat-service so every replica can end the
+-- affected Subscribe streams.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS room_access_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  room_name VARCHAR(100) NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  kind ENUM('kick', 'ban') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_room_access_events_created_at (created_at)
+);
@@ -0,0 +1,24 @@
+-- Room metadata; max_members = 0 means unlimited.
+ALTER TABLE chat_rooms
+  ADD COLUMN topic VARCHAR(200) NOT NULL DEFAULT '' AFTER is_private,
+  ADD COLUMN description VARCHAR(2000) NOT NULL DEFAULT '' AFTER topic,
+  ADD COLUMN max_members INT UNSIGNED NOT NULL DEFAULT 0 AFTER description;
+
+-- Messages are keyed by the stable chat_rooms.id so RenameRoom only has to
+-- touch chat_rooms. messages.room_name is kept as the name at send time;
+-- readers take the current name from chat_rooms.
+ALTER TABLE messages
+  ADD COLUMN room_id BIGINT UNSIGNED NULL AFTER id;
+
+UPDATE messages m
+JOIN chat_rooms r ON r.room_name = m.room_name
+SET m.room_id = r.id;
+
+ALTER TABLE messages
+  DROP INDEX uq_messages_room_msg_id,
+  DROP INDEX idx_messages_room,
+  ADD UNIQUE KEY uq_messages_room_msg_id (room_id, msg_id),
+  ADD KEY idx_messages_room (room_id, id);
+
+ALTER TABLE room_access_events
+  ADD COLUMN room_id BIGINT UNSIGNED NULL AFTER id;
@@ -0,0 +1,23 @@
+-- ============================================================
+-- TABLE: room_deletions
+-- Outbox written by ChatroomService.DeleteRoom in the same
+-- transaction as the chat_rooms delete. chat-service purges the
+-- room's messages in batches and sets purged_at; failures are
+-- retried with backoff (attempts / next_attempt_at / last_error).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS room_deletions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  room_id BIGINT UNSIGNED NOT NULL,
+  room_name VARCHAR(100) NOT NULL,
+  requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error VARCHAR(500) NULL,
+  purged_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY idx_room_deletions_pending (purged_at, next_attempt_at)
+);
+
+-- room_deleted events end every stream of the room (person_name is '').
+ALTER TABLE room_access_events
+  MODIFY COLUMN kind ENUM('kick', 'ban', 'room_deleted') NOT NULL;
@@ -0,0 +1,17 @@
+-- ============================================================
+-- TABLE: room_presence
+-- One row per (room, person, chat-service replica) holding that
+-- replica's count of live Subscribe streams. Replicas heartbeat
+-- last_seen_at; rows of a dead replica simply go stale.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS room_presence (
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  replica_id VARCHAR(64) NOT NULL,
+  connections INT UNSIGNED NOT NULL DEFAULT 0,
+  last_seen_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  last_active_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (room_id, person_name, replica_id),
+  KEY idx_room_presence_replica (replica_id),
+  KEY idx_room_presence_last_seen (last_seen_at)
+);
@@ -0,0 +1,4 @@
+-- EnterRoom / AcceptInvite / LeaveRoom also log to room_access_events so
+-- chat-service can push join/leave events into SubscribeEvents streams.
+ALTER TABLE room_access_events
+  MODIFY COLUMN kind ENUM('kick', 'ban', 'room_deleted', 'join', 'leave') NOT NULL;
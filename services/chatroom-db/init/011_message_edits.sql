@@ -0,0 +1,25 @@
+-- Edit/delete state on the message itself: text is always the current
+-- version; a deleted message keeps its row as a tombstone with empty text.
+ALTER TABLE messages
+  ADD COLUMN edited_at_ms BIGINT NULL AFTER server_ts_ms,
+  ADD COLUMN deleted_at_ms BIGINT NULL AFTER edited_at_ms;
+
+-- ============================================================
+-- TABLE: message_edits
+-- Audit trail of every EditMessage / DeleteMessage, holding the
+-- text before and after. chat-service replicas also tail it by
+-- id to push edits and deletes into live streams.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS message_edits (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  message_id BIGINT UNSIGNED NOT NULL,
+  room_id BIGINT UNSIGNED NOT NULL,
+  kind ENUM('edit', 'delete') NOT NULL,
+  editor_name VARCHAR(100) NOT NULL,
+  old_text TEXT NOT NULL,
+  new_text TEXT NOT NULL,
+  edited_at_ms BIGINT NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_message_edits_message (message_id, id),
+  KEY idx_message_edits_room (room_id)
+);
@@ -0,0 +1,35 @@
+-- Threads: a reply points at its thread root (threads are one level deep).
+ALTER TABLE messages
+  ADD COLUMN reply_to_seq BIGINT UNSIGNED NULL AFTER msg_id,
+  ADD KEY idx_messages_thread (reply_to_seq, id);
+
+-- ============================================================
+-- TABLE: message_reactions
+-- Current reactions, one row per (message, person, emoji).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS message_reactions (
+  message_id BIGINT UNSIGNED NOT NULL,
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (message_id, person_name, emoji),
+  KEY idx_message_reactions_room (room_id)
+);
+
+-- ============================================================
+-- TABLE: message_reaction_events
+-- Append-only feed of reaction adds/removes, tailed by chat-service
+-- replicas to push reaction_changed into live streams.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS message_reaction_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  message_id BIGINT UNSIGNED NOT NULL,
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  added BOOLEAN NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (id),
+  KEY idx_message_reaction_events_room (room_id)
+);
@@ -0,0 +1,34 @@
+-- ============================================================
+-- TABLE: direct_conversations
+-- One canonical row per pair of people: user_a < user_b, so the
+-- unique key makes OpenDirectConversation idempotent either way.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS direct_conversations (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_a VARCHAR(100) NOT NULL,
+  user_b VARCHAR(100) NOT NULL,
+  created_at_ms BIGINT NOT NULL,
+  last_server_seq BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  last_message_ts_ms BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_direct_conversations_pair (user_a, user_b),
+  KEY idx_direct_conversations_user_b (user_b)
+);
+
+-- ============================================================
+-- TABLE: direct_messages
+-- Same shape as messages; the id is the inbox sequence and is
+-- tailed by chat-service replicas for SubscribeInbox.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS direct_messages (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  conversation_id BIGINT UNSIGNED NOT NULL,
+  sender_name VARCHAR(100) NOT NULL,
+  text TEXT NOT NULL,
+  msg_id VARCHAR(128) NULL,
+  client_ts_ms BIGINT NULL,
+  server_ts_ms BIGINT NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_direct_messages_conv_msg_id (conversation_id, msg_id),
+  KEY idx_direct_messages_conv (conversation_id, id)
+);
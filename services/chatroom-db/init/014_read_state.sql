@@ -0,0 +1,21 @@
+-- Per-member read marker. Unread counts are derived from messages.id at read
+-- time, so a send never has to touch the other members' rows.
+ALTER TABLE room_people
+  ADD COLUMN last_read_seq BIGINT UNSIGNED NOT NULL DEFAULT 0 AFTER role;
+
+-- ============================================================
+-- TABLE: read_receipt_events
+-- Feed of MarkRead advances, tailed by chat-service replicas to
+-- push read_receipt into SubscribeEvents streams. Rows older
+-- than a day are pruned by the replicas.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS read_receipt_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  last_read_seq BIGINT UNSIGNED NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (id),
+  KEY idx_read_receipt_events_room (room_id),
+  KEY idx_read_receipt_events_created (created_at)
+);
@@ -0,0 +1,4 @@
+-- SearchMessages: word-prefix matching in BOOLEAN MODE
+-- (innodb_ft_min_token_size is 3, hence the 3-character minimum).
+ALTER TABLE messages
+  ADD FULLTEXT INDEX ft_messages_text (text);
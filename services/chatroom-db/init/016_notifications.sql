@@ -0,0 +1,21 @@
+-- ============================================================
+-- TABLE: notifications
+-- Per-user feed written by chat-service SendMessage for each
+-- @mention of a room member. The id doubles as the stream cursor
+-- (SubscribeNotifications tails it like the messages bus).
+-- ============================================================
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  person_name VARCHAR(100) NOT NULL,
+  kind ENUM('mention') NOT NULL,
+  room_id BIGINT UNSIGNED NOT NULL,
+  message_id BIGINT UNSIGNED NOT NULL,
+  sender_name VARCHAR(100) NOT NULL,
+  text_preview VARCHAR(200) NOT NULL,
+  created_at_ms BIGINT NOT NULL,
+  acked_at_ms BIGINT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_notifications_message_person (message_id, person_name),
+  KEY idx_notifications_person (person_name, id),
+  KEY idx_notifications_room (room_id)
+);
@@ -0,0 +1,17 @@
+-- ============================================================
+-- TABLE: typing_events
+-- Ephemeral relay for SetTyping between chat-service replicas:
+-- each replica tails it by id and keeps typing state in memory.
+-- MEMORY engine (BTREE keys for the id/age range scans), so nothing
+-- survives a restart; rows older than a minute are pruned by the
+-- replicas.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS typing_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  room_id BIGINT UNSIGNED NOT NULL,
+  person_name VARCHAR(100) NOT NULL,
+  is_typing BOOLEAN NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (id) USING BTREE,
+  KEY idx_typing_events_created (created_at) USING BTREE
+) ENGINE = MEMORY;
@@ -0,0 +1,10 @@
+-- reply_to_seq is the message a reply answers (as sent by the client);
+-- thread_root_seq is the top-level message whose thread it belongs to,
+-- which is what GetThread pages over. Until now reply_to_seq held the
+-- root, so existing replies start out with both equal.
+ALTER TABLE messages
+  ADD COLUMN thread_root_seq BIGINT UNSIGNED NULL AFTER reply_to_seq,
+  ADD KEY idx_messages_thread_root (thread_root_seq, id),
+  DROP KEY idx_messages_thread;
+
+UPDATE messages SET thread_root_seq = reply_to_seq WHERE reply_to_seq IS NOT NULL;
@@ -0,0 +1,4 @@
+-- SetTyping's rate limit counts the person's rows from the last window
+-- inside the INSERT itself, so the cap holds across chat-service replicas.
+ALTER TABLE typing_events
+  ADD KEY idx_typing_events_person (person_name, created_at) USING BTREE;
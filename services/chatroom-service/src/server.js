@@ -29,21 +29,118 @@ async function initDb() {
   await pool.query("SELECT 1");
 }
 
-async function getRoomIdByName(roomName) {
+const ROLE_TO_DB = {
+  ROOM_ROLE_MEMBER: "member",
+  ROOM_ROLE_MODERATOR: "moderator",
+  ROOM_ROLE_OWNER: "owner",
+};
+const ROLE_FROM_DB = {
+  member: "ROOM_ROLE_MEMBER",
+  moderator: "ROOM_ROLE_MODERATOR",
+  owner: "ROOM_ROLE_OWNER",
+};
+
+async function getRoomByName(roomName) {
   const [rows] = await pool.query(
-    "SELECT id FROM chat_rooms WHERE room_name = ? LIMIT 1",
+    `SELECT id, room_name, owner_name, is_private, topic, description, max_members, created_at
+     FROM chat_rooms WHERE room_name = ? LIMIT 1`,
     [roomName]
   );
-  return rows.length ? rows[0].id : null;
+  return rows[0] || null;
+}
+
+// "owner" | "moderator" | "member" | null (not in room). The owner counts as
+// owner even after leaving, since ownership lives on chat_rooms.
+async function getRole(room, personName) {
+  if (room.owner_name && room.owner_name === personName) return "owner";
+  const [rows] = await pool.query(
+    "SELECT role FROM room_people WHERE room_id = ? AND person_name = ? LIMIT 1",
+    [room.id, personName]
+  );
+  return rows.length ? rows[0].role : null;
+}
+
+async function isBanned(room, personName) {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM room_bans
+     WHERE room_id = ? AND person_name = ? AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+    [room.id, personName]
+  );
+  return rows.length > 0;
+}
+
+// room_access_events is tailed by chat-service (stream events, kicks, deletes).
+function logAccessEvent(conn, room, personName, kind) {
+  return conn.query(
+    "INSERT INTO room_access_events (room_id, room_name, person_name, kind) VALUES (?, ?, ?, ?)",
+    [room.id, room.room_name, personName, kind]
+  );
+}
+
+// Returns false if the room is at max_members (the owner is exempt). The room
+// row is locked so concurrent joins cannot overshoot the limit.
+async function addRoomPerson(room, personName) {
+  const isOwner = room.owner_name === personName;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [locked] = await conn.query(
+      "SELECT max_members FROM chat_rooms WHERE id = ? FOR UPDATE",
+      [room.id]
+    );
+    const max = Number(locked[0]?.max_members || 0);
+    if (max > 0 && !isOwner) {
+      const [counted] = await conn.query(
+        "SELECT COUNT(*) AS n FROM room_people WHERE room_id = ?",
+        [room.id]
+      );
+      if (Number(counted[0].n) >= max) {
+        await conn.rollback();
+        return false;
+      }
+    }
+    await conn.query(
+      "INSERT INTO room_people (room_id, person_name, role) VALUES (?, ?, ?)",
+      [room.id, personName, isOwner ? "owner" : "member"]
+    );
+    await logAccessEvent(conn, room, personName, "join");
+    await conn.commit();
+    return true;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+async function hasInvite(room, personName) {
+  const [rows] = await pool.query(
+    "SELECT 1 FROM room_invites WHERE room_id = ? AND person_name = ? LIMIT 1",
+    [room.id, personName]
+  );
+  return rows.length > 0;
+}
+
+function deleteInvite(room, personName) {
+  return pool.query("DELETE FROM room_invites WHERE room_id = ? AND person_name = ?", [
+    room.id,
+    personName,
+  ]);
 }
 
 async function CreateRoom(call, callback) {
   try {
-    const { room_name } = call.request;
+    const { room_name, caller, is_private } = call.request;
     if (!room_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
-    await pool.query("INSERT INTO chat_rooms (room_name) VALUES (?)", [room_name]);
+    await pool.query("INSERT INTO chat_rooms (room_name, owner_name, is_private) VALUES (?, ?, ?)", [
+      room_name,
+      caller?.username || null,
+      is_private ? 1 : 0,
+    ]);
     callback(null, { ok: true });
   } catch (e) {
     if (String(e.message || "").includes("uq_chat_rooms_room_name")) {
@@ -53,14 +150,49 @@ async function CreateRoom(call, callback) {
   }
 }
 
+// room_people/invites/bans go with the FK cascade. Messages and live streams
+// live in chat-service: the outbox row (purge) and access event (end streams)
+// commit atomically with the delete, so chat-service catches up even if it is
+// down right now.
+async function deleteRoomWithOutbox(room) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [res] = await conn.query("DELETE FROM chat_rooms WHERE id = ?", [room.id]);
+    if (res.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+    await conn.query("INSERT INTO room_deletions (room_id, room_name) VALUES (?, ?)", [
+      room.id,
+      room.room_name,
+    ]);
+    await logAccessEvent(conn, room, "", "room_deleted");
+    await conn.commit();
+    return true;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
 async function DeleteRoom(call, callback) {
   try {
-    const { room_name } = call.request;
+    const { room_name, caller } = call.request;
     if (!room_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
-    const [res] = await pool.query("DELETE FROM chat_rooms WHERE room_name = ?", [room_name]);
-    callback(null, { ok: res.affectedRows > 0 });
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback(null, { ok: false });
+    }
+    if (!caller?.is_admin && (!room.owner_name || room.owner_name !== caller?.username)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "only the room owner can delete it" });
+    }
+
+    callback(null, { ok: await deleteRoomWithOutbox(room) });
   } catch (e) {
     callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
   }
@@ -68,19 +200,33 @@ async function DeleteRoom(call, callback) {
 
 async function EnterRoom(call, callback) {
   try {
-    const { room_name, person_name } = call.request;
+    const { room_name, person_name, caller } = call.request;
     if (!room_name || !person_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
     }
-    const roomId = await getRoomIdByName(room_name);
-    if (!roomId) {
+    const room = await getRoomByName(room_name);
+    if (!room) {
       return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
     }
+    if (await isBanned(room, person_name)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "banned from this room" });
+    }
 
-    await pool.query(
-      "INSERT INTO room_people (room_id, person_name) VALUES (?, ?)",
-      [roomId, person_name]
-    );
+    let invited = false;
+    if (room.is_private && !caller?.is_admin && room.owner_name !== person_name) {
+      if (await getRole(room, person_name)) {
+        return callback({ code: grpc.status.ALREADY_EXISTS, message: "person already in room" });
+      }
+      invited = await hasInvite(room, person_name);
+      if (!invited) {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "room is private; invite required" });
+      }
+    }
+
+    if (!(await addRoomPerson(room, person_name))) {
+      return callback({ code: grpc.status.RESOURCE_EXHAUSTED, message: "room is full" });
+    }
+    if (invited) await deleteInvite(room, person_name);
 
     callback(null, { ok: true });
   } catch (e) {
@@ -98,39 +244,613 @@ async function LeaveRoom(call, callback) {
     if (!room_name || !person_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
     }
-    const roomId = await getRoomIdByName(room_name);
-    if (!roomId) {
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [res] = await conn.query(
+        "DELETE FROM room_people WHERE room_id = ? AND person_name = ?",
+        [room.id, person_name]
+      );
+      if (res.affectedRows > 0) await logAccessEvent(conn, room, person_name, "leave");
+      await conn.commit();
+      callback(null, { ok: res.affectedRows > 0 });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function GetPeople(call, callback) {
+  try {
+    const { room_name, caller } = call.request;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    const room = await getRoomByName(room_name);
+    const visible =
+      room && (!room.is_private || caller?.is_admin || (await getRole(room, caller?.username || "")));
+    if (!visible) {
       return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
     }
 
+    const [rows] = await pool.query(
+      "SELECT person_name, role FROM room_people WHERE room_id = ? ORDER BY joined_at ASC",
+      [room.id]
+    );
+
+    callback(null, {
+      people: rows.map(r => r.person_name),
+      members: rows.map(r => ({ person_name: r.person_name, role: ROLE_FROM_DB[r.role] })),
+    });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function CheckMembership(call, callback) {
+  try {
+    const { room_name, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT r.id, rp.person_name
+       FROM chat_rooms r
+       LEFT JOIN room_people rp ON rp.room_id = r.id AND rp.person_name = ?
+       WHERE r.room_name = ?
+       LIMIT 1`,
+      [person_name, room_name]
+    );
+
+    callback(null, {
+      room_exists: rows.length > 0,
+      is_member: rows.length > 0 && rows[0].person_name != null,
+    });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+function encodePageToken(obj) {
+  return Buffer.from(JSON.stringify(obj), "utf8").toString("base64url");
+}
+
+function decodePageToken(token) {
+  if (!token) return null;
+  try {
+    const t = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    return Number.isFinite(t.k) && Number.isFinite(t.id) ? t : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function escapeLike(s) {
+  return s.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// Keyset paging on (sort key, id); the token holds the last row's pair.
+async function ListRooms(call, callback) {
+  try {
+    const { name_prefix, page_size, page_token, sort_by, descending, caller } = call.request;
+    const size = Math.max(1, Math.min(100, Number(page_size || 20)));
+    const byMembers = sort_by === "ROOM_SORT_MEMBER_COUNT";
+    const key = byMembers ? "member_count" : "created_ts";
+    const dir = descending ? "DESC" : "ASC";
+    const cmp = descending ? "<" : ">";
+
+    const after = decodePageToken(page_token);
+    if (after === undefined) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "invalid page_token" });
+    }
+
+    const params = [`${escapeLike(name_prefix || "")}%`];
+
+    // Private rooms only for their owner/members (admins see everything).
+    let visibleSql = "";
+    if (!caller?.is_admin) {
+      visibleSql = `AND (r.is_private = 0 OR r.owner_name = ? OR EXISTS (
+          SELECT 1 FROM room_people m WHERE m.room_id = r.id AND m.person_name = ?))`;
+      params.push(caller?.username || "", caller?.username || "");
+    }
+
+    let cursorSql = "";
+    if (after) {
+      cursorSql = `WHERE (${key} ${cmp} ? OR (${key} = ? AND id ${cmp} ?))`;
+      params.push(after.k, after.k, after.id);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT * FROM (
+         SELECT r.id, r.room_name, r.created_at, r.is_private,
+                UNIX_TIMESTAMP(r.created_at) AS created_ts,
+                COUNT(rp.person_name) AS member_count
+         FROM chat_rooms r
+         LEFT JOIN room_people rp ON rp.room_id = r.id
+         WHERE r.room_name LIKE ? ${visibleSql}
+         GROUP BY r.id
+       ) t
+       ${cursorSql}
+       ORDER BY ${key} ${dir}, id ${dir}
+       LIMIT ${size + 1}`,
+      params
+    );
+
+    const page = rows.slice(0, size);
+    let next_page_token = "";
+    if (rows.length > size) {
+      const last = page[page.length - 1];
+      next_page_token = encodePageToken({ k: Number(last[key]), id: Number(last.id) });
+    }
+
+    callback(null, {
+      rooms: page.map((r) => ({
+        room_name: r.room_name,
+        member_count: Number(r.member_count),
+        created_at_iso: new Date(r.created_at).toISOString(),
+        is_private: !!r.is_private,
+      })),
+      next_page_token,
+    });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function SetMemberRole(call, callback) {
+  try {
+    const { room_name, caller, person_name, role } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+    const target = ROLE_TO_DB[role];
+    if (target !== "member" && target !== "moderator") {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "role must be member or moderator" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    const current = await getRole(room, person_name);
+    if (!current) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "person not in room" });
+    }
+    if (current === "owner") {
+      return callback({ code: grpc.status.FAILED_PRECONDITION, message: "cannot change the owner's role" });
+    }
+
+    if (!caller?.is_admin) {
+      const callerRole = await getRole(room, caller?.username || "");
+      const allowed =
+        callerRole === "owner" ||
+        (callerRole === "moderator" && current === "member" && target === "moderator");
+      if (!allowed) {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+
     const [res] = await pool.query(
+      "UPDATE room_people SET role = ? WHERE room_id = ? AND person_name = ?",
+      [target, room.id, person_name]
+    );
+    callback(null, { ok: res.affectedRows > 0 });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function InviteToRoom(call, callback) {
+  try {
+    const { room_name, caller, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!caller?.is_admin) {
+      const callerRole = await getRole(room, caller?.username || "");
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+    if (await getRole(room, person_name)) {
+      return callback({ code: grpc.status.ALREADY_EXISTS, message: "person already in room" });
+    }
+
+    await pool.query(
+      `INSERT INTO room_invites (room_id, person_name, invited_by) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE invited_by = VALUES(invited_by), created_at = CURRENT_TIMESTAMP`,
+      [room.id, person_name, caller?.username || ""]
+    );
+    callback(null, { ok: true });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function ListInvites(call, callback) {
+  try {
+    const username = call.request.caller?.username;
+    if (!username) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "caller required" });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT r.room_name, i.invited_by, i.created_at
+       FROM room_invites i
+       JOIN chat_rooms r ON r.id = i.room_id
+       WHERE i.person_name = ?
+       ORDER BY i.created_at DESC`,
+      [username]
+    );
+
+    callback(null, {
+      invites: rows.map(r => ({
+        room_name: r.room_name,
+        invited_by: r.invited_by,
+        created_at_iso: new Date(r.created_at).toISOString(),
+      })),
+    });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function AcceptInvite(call, callback) {
+  try {
+    const { room_name, caller } = call.request;
+    const username = caller?.username;
+    if (!room_name || !username) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and caller required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (await isBanned(room, username)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "banned from this room" });
+    }
+
+    if (!(await hasInvite(room, username))) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "no pending invite" });
+    }
+
+    if (!(await addRoomPerson(room, username))) {
+      return callback({ code: grpc.status.RESOURCE_EXHAUSTED, message: "room is full" });
+    }
+    await deleteInvite(room, username);
+    callback(null, { ok: true });
+  } catch (e) {
+    if (String(e.message || "").toLowerCase().includes("duplicate")) {
+      return callback({ code: grpc.status.ALREADY_EXISTS, message: "person already in room" });
+    }
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+// Returns an error for callback(), or null if caller may kick/ban the person.
+async function checkModeration(room, caller, personName) {
+  const targetRole = await getRole(room, personName);
+  if (targetRole === "owner") {
+    return { code: grpc.status.FAILED_PRECONDITION, message: "cannot kick or ban the room owner" };
+  }
+  if (caller?.is_admin) return null;
+
+  const callerRole = await getRole(room, caller?.username || "");
+  const allowed =
+    callerRole === "owner" || (callerRole === "moderator" && targetRole !== "moderator");
+  if (!allowed) {
+    return { code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" };
+  }
+  return null;
+}
+
+// Drops the membership and logs an access event for chat-service in one transaction.
+async function removeFromRoom(room, personName, kind, ban) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [res] = await conn.query(
       "DELETE FROM room_people WHERE room_id = ? AND person_name = ?",
-      [roomId, person_name]
+      [room.id, personName]
     );
+    if (ban) {
+      await conn.query(
+        `INSERT INTO room_bans (room_id, person_name, banned_by, expires_at)
+         VALUES (?, ?, ?, IF(? = 0, NULL, FROM_UNIXTIME(? / 1000)))
+         ON DUPLICATE KEY UPDATE banned_by = VALUES(banned_by), expires_at = VALUES(expires_at),
+                                 created_at = CURRENT_TIMESTAMP`,
+        [room.id, personName, ban.banned_by, ban.expires_at_ms, ban.expires_at_ms]
+      );
+    }
+    // non-members have no streams to end and nobody to announce
+    if (res.affectedRows > 0) await logAccessEvent(conn, room, personName, kind);
+    await conn.commit();
+    return res.affectedRows > 0;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+async function KickMember(call, callback) {
+  try {
+    const { room_name, caller, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    const denied = await checkModeration(room, caller, person_name);
+    if (denied) return callback(denied);
+
+    if (!(await removeFromRoom(room, person_name, "kick", null))) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "person not in room" });
+    }
+    callback(null, { ok: true });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function BanMember(call, callback) {
+  try {
+    const { room_name, caller, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+    const duration = Number(call.request.duration_ms || 0);
+    if (!Number.isFinite(duration) || duration < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "duration_ms must be >= 0" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    const denied = await checkModeration(room, caller, person_name);
+    if (denied) return callback(denied);
+
+    const expires_at_ms = duration > 0 ? Date.now() + duration : 0;
+    await removeFromRoom(room, person_name, "ban", {
+      banned_by: caller?.username || "",
+      expires_at_ms,
+    });
+    callback(null, { ok: true, expires_at_ms });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function UnbanMember(call, callback) {
+  try {
+    const { room_name, caller, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!caller?.is_admin) {
+      const callerRole = await getRole(room, caller?.username || "");
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
 
+    const [res] = await pool.query(
+      `DELETE FROM room_bans
+       WHERE room_id = ? AND person_name = ? AND (expires_at IS NULL OR expires_at > NOW())`,
+      [room.id, person_name]
+    );
     callback(null, { ok: res.affectedRows > 0 });
   } catch (e) {
     callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
   }
 }
 
-async function GetPeople(call, callback) {
+const TOPIC_MAX = 200;
+const DESCRIPTION_MAX = 2000;
+
+async function toRoomInfo(room) {
+  const [rows] = await pool.query("SELECT COUNT(*) AS n FROM room_people WHERE room_id = ?", [
+    room.id,
+  ]);
+  return {
+    room_id: room.id,
+    room_name: room.room_name,
+    owner_name: room.owner_name || "",
+    is_private: !!room.is_private,
+    topic: room.topic,
+    description: room.description,
+    max_members: Number(room.max_members),
+    member_count: Number(rows[0].n),
+    created_at_iso: new Date(room.created_at).toISOString(),
+  };
+}
+
+async function GetRoom(call, callback) {
+  try {
+    const { room_name, caller } = call.request;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    const visible =
+      room && (!room.is_private || caller?.is_admin || (await getRole(room, caller?.username || "")));
+    if (!visible) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    callback(null, { room: await toRoomInfo(room) });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+async function UpdateRoom(call, callback) {
   try {
-    const { room_name } = call.request;
+    const { room_name, caller, topic, description, max_members } = call.request;
     if (!room_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
-    const roomId = await getRoomIdByName(room_name);
-    if (!roomId) {
+    if (topic !== undefined && topic.length > TOPIC_MAX) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: `topic longer than ${TOPIC_MAX}` });
+    }
+    if (description !== undefined && description.length > DESCRIPTION_MAX) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: `description longer than ${DESCRIPTION_MAX}`,
+      });
+    }
+    if (max_members !== undefined && max_members < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "max_members must be >= 0" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
       return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
     }
+    if (!caller?.is_admin) {
+      const callerRole = await getRole(room, caller?.username || "");
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+
+    const sets = [];
+    const params = [];
+    if (topic !== undefined) {
+      sets.push("topic = ?");
+      params.push(topic);
+    }
+    if (description !== undefined) {
+      sets.push("description = ?");
+      params.push(description);
+    }
+    if (max_members !== undefined) {
+      sets.push("max_members = ?");
+      params.push(max_members);
+    }
+    if (sets.length) {
+      await pool.query(`UPDATE chat_rooms SET ${sets.join(", ")} WHERE id = ?`, [...params, room.id]);
+    }
+
+    const updated = await getRoomByName(room_name);
+    if (!updated) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    callback(null, { room: await toRoomInfo(updated) });
+  } catch (e) {
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+// Only chat_rooms.room_name changes: everything else (including chat-service
+// messages and live streams) is keyed by the room id.
+async function RenameRoom(call, callback) {
+  try {
+    const { room_name, caller, new_room_name } = call.request;
+    if (!room_name || !new_room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and new_room_name required" });
+    }
+
+    const room = await getRoomByName(room_name);
+    if (!room) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!caller?.is_admin && (await getRole(room, caller?.username || "")) !== "owner") {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "only the room owner can rename it" });
+    }
+
+    await pool.query("UPDATE chat_rooms SET room_name = ? WHERE id = ?", [new_room_name, room.id]);
+    callback(null, { ok: true, room_id: room.id });
+  } catch (e) {
+    if (String(e.message || "").includes("uq_chat_rooms_room_name")) {
+      return callback({ code: grpc.status.ALREADY_EXISTS, message: "room name already exists" });
+    }
+    callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  }
+}
+
+// ---------- READ STATE ----------
+// Unread counts come from idx_messages_room (room_id, id); each count stops
+// at UNREAD_COUNT_CAP rows so a long-unread room stays cheap. A person's own
+// messages never count, so SendMessage does not have to move their marker.
+const UNREAD_COUNT_CAP = 1000;
+
+async function countUnread(roomId, lastReadSeq, personName) {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS n FROM (
+       SELECT 1 FROM messages
+       WHERE room_id = ? AND id > ? AND person_name <> ?
+       LIMIT ${UNREAD_COUNT_CAP}
+     ) t`,
+    [roomId, lastReadSeq, personName]
+  );
+  return Number(rows[0].n);
+}
+
+async function ListMyRooms(call, callback) {
+  try {
+    const { person_name } = call.request;
+    if (!person_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "person_name required" });
+    }
 
     const [rows] = await pool.query(
-      "SELECT person_name FROM room_people WHERE room_id = ? ORDER BY joined_at ASC",
-      [roomId]
+      `SELECT r.id, r.room_name, rp.role, rp.last_read_seq,
+              (SELECT COALESCE(MAX(m.id), 0) FROM messages m WHERE m.room_id = r.id) AS last_server_seq
+       FROM room_people rp
+       JOIN chat_rooms r ON r.id = rp.room_id
+       WHERE rp.person_name = ?
+       ORDER BY last_server_seq DESC, r.id DESC`,
+      [person_name]
+    );
+
+    const rooms = await Promise.all(
+      rows.map(async (r) => {
+        const last_read_seq = Number(r.last_read_seq);
+        const last_server_seq = Number(r.last_server_seq);
+        const unread_count =
+          last_server_seq > last_read_seq ? await countUnread(r.id, last_read_seq, person_name) : 0;
+        return {
+          room_name: r.room_name,
+          role: ROLE_FROM_DB[r.role],
+          last_read_seq,
+          last_server_seq,
+          unread_count,
+          unread_capped: unread_count >= UNREAD_COUNT_CAP,
+        };
+      })
     );
 
-    callback(null, { people: rows.map(r => r.person_name) });
+    callback(null, { rooms });
   } catch (e) {
     callback({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
   }
@@ -146,6 +866,19 @@ async function main() {
     EnterRoom,
     LeaveRoom,
     GetPeople,
+    CheckMembership,
+    ListRooms,
+    SetMemberRole,
+    InviteToRoom,
+    ListInvites,
+    AcceptInvite,
+    KickMember,
+    BanMember,
+    UnbanMember,
+    GetRoom,
+    UpdateRoom,
+    RenameRoom,
+    ListMyRooms,
   });
 
   const addr = "0.0.0.0:50053";
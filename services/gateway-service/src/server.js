@@ -1,6 +1,7 @@
 const path = require("path");
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
+const { loadSigningConfig, verifyToken, isSignedToken } = require("/contracts/lib/tokens");
 
 /**
  * ============================================================
@@ -31,6 +32,9 @@ function getRpcMetric(name) {
       minMs: Number.POSITIVE_INFINITY,
       maxMs: 0,
       buckets: new Array(BUCKETS_MS.length + 1).fill(0), // last = overflow
+      credCacheHit: 0,
+      credCacheMiss: 0,
+      credLocalVerify: 0,
     });
   }
   return metrics.rpc.get(name);
@@ -75,6 +79,9 @@ function dumpMetrics() {
         max_ms: Number(m.maxMs.toFixed(3)),
         buckets_ms: BUCKETS_MS,
         buckets: m.buckets,
+        cred_cache_hit: m.credCacheHit,
+        cred_cache_miss: m.credCacheMiss,
+        cred_local_verify: m.credLocalVerify,
       })
     );
   }
@@ -134,6 +141,35 @@ const chatClient = new chat.chat.ChatroomService(
   grpc.credentials.createInsecure()
 );
 
+// Users allowed to act as any person_name (comma separated usernames).
+const ADMIN_USERS = new Set(
+  (process.env.ADMIN_USERS || "").split(",").map((u) => u.trim()).filter(Boolean)
+);
+
+function isAdmin(username) {
+  return ADMIN_USERS.has(username);
+}
+
+// Identity forwarded to chatroom-service for role checks.
+function callerOf(username) {
+  return { username, is_admin: isAdmin(username) };
+}
+
+/**
+ * person_name is bound to the authenticated user: empty means "me", anything
+ * else must match unless the caller is in ADMIN_USERS.
+ */
+function bindPersonName(username, requested) {
+  if (!requested || requested === username) return { person_name: username };
+  if (isAdmin(username)) return { person_name: requested };
+  return {
+    err: {
+      code: grpc.status.PERMISSION_DENIED,
+      message: `person_name "${requested}" does not match authenticated user`,
+    },
+  };
+}
+
 function getCredentialOrFail(req) {
   const cred = req?.auth?.credential;
   if (!cred) {
@@ -142,18 +178,176 @@ function getCredentialOrFail(req) {
   return { cred };
 }
 
-function validateCredential(credential) {
+/**
+ * ============================================================
+ * CREDENTIAL CACHE
+ * ============================================================
+ * Bounded LRU of successful Validate results (Map keeps insertion order,
+ * so the first key is the least recently used). Entries live for at most
+ * CRED_CACHE_TTL_MS and never past the session's own expiry.
+ *
+ * Revocations arrive over LoginService.WatchRevocations. While that stream
+ * is down the cache is emptied and bypassed, since a revoke could be missed.
+ *
+ * Signed tokens (login-service TOKEN_MODE=signed) are verified locally when
+ * TOKEN_SIGNING_KEYS is set here too; only revoked session ids are tracked.
+ */
+const CRED_CACHE_ENABLED = (process.env.CRED_CACHE_ENABLED || "1") === "1";
+const CRED_CACHE_MAX = parseInt(process.env.CRED_CACHE_MAX || "10000", 10);
+const CRED_CACHE_TTL_MS = parseInt(process.env.CRED_CACHE_TTL_MS || "30000", 10);
+const REVOCATION_RETRY_MS = parseInt(process.env.REVOCATION_RETRY_MS || "1000", 10);
+const TOKEN_TTL_MINUTES = parseInt(process.env.TOKEN_TTL_MINUTES || "60", 10);
+
+const signing = loadSigningConfig();
+const LOCAL_VERIFY_ENABLED = signing.keys.size > 0;
+
+const credCache = new Map(); // credential -> { username, expiresAtMs }
+let revocationFeedLive = false;
+let revocationLastId = 0;
+// Bumped on every revoke / feed reset; a Validate that started under an older
+// generation may have raced a revoke, so its result is not cached.
+let revocationGen = 0;
+
+// session id -> drop after (ms). A token lives at most TOKEN_TTL_MINUTES, so
+// a revoked id only needs remembering that long.
+const revokedSessions = new Map();
+
+function pruneRevokedSessions() {
+  const now = Date.now();
+  for (const [sid, until] of revokedSessions) {
+    if (until <= now) revokedSessions.delete(sid);
+  }
+}
+
+function credCacheGet(credential) {
+  const e = credCache.get(credential);
+  if (!e) return null;
+  credCache.delete(credential);
+  if (e.expiresAtMs <= Date.now()) return null;
+  credCache.set(credential, e);
+  return e;
+}
+
+function credCachePut(credential, username, sessionExpiresAtMs, gen) {
+  if (!CRED_CACHE_ENABLED || !revocationFeedLive || gen !== revocationGen) return;
+  let expiresAtMs = Date.now() + CRED_CACHE_TTL_MS;
+  if (sessionExpiresAtMs > 0) expiresAtMs = Math.min(expiresAtMs, sessionExpiresAtMs);
+
+  credCache.delete(credential);
+  credCache.set(credential, { username, expiresAtMs });
+  while (credCache.size > CRED_CACHE_MAX) {
+    credCache.delete(credCache.keys().next().value);
+  }
+}
+
+function watchRevocations() {
+  const stream = loginClient.WatchRevocations({
+    since_id: revocationLastId,
+    replay_unexpired: LOCAL_VERIFY_ENABLED && revocationLastId === 0,
+  });
+  let retried = false;
+
+  const retry = () => {
+    if (retried) return;
+    retried = true;
+    revocationFeedLive = false;
+    revocationGen++;
+    credCache.clear();
+    setTimeout(watchRevocations, REVOCATION_RETRY_MS).unref();
+  };
+
+  stream.on("data", (ev) => {
+    const id = Number(ev.id || 0);
+    if (id > revocationLastId) revocationLastId = id;
+    if (ev.sync) {
+      revocationFeedLive = true;
+      return;
+    }
+    revocationGen++;
+    if (ev.credential) credCache.delete(ev.credential);
+    const sid = Number(ev.session_id || 0);
+    if (sid) revokedSessions.set(sid, Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+  });
+  stream.on("error", retry);
+  stream.on("end", retry);
+}
+
+if (CRED_CACHE_ENABLED || LOCAL_VERIFY_ENABLED) {
+  watchRevocations();
+}
+
+if (LOCAL_VERIFY_ENABLED) {
+  setInterval(pruneRevokedSessions, 60 * 1000).unref();
+}
+/**
+ * ============================================================
+ * END CREDENTIAL CACHE
+ * ============================================================
+ */
+
+function validateCredential(credential, rpcName) {
+  const m = ENABLE_METRICS && rpcName ? getRpcMetric(rpcName) : null;
+
+  // Unknown kid falls through to Validate (e.g. key not rolled out here yet).
+  if (LOCAL_VERIFY_ENABLED && revocationFeedLive && isSignedToken(credential)) {
+    const claims = verifyToken(credential, signing.keys);
+    if (claims && !revokedSessions.has(claims.sessionId)) {
+      if (m) m.credLocalVerify++;
+      return Promise.resolve(claims.username);
+    }
+  }
+
+  if (CRED_CACHE_ENABLED && revocationFeedLive) {
+    const hit = credCacheGet(credential);
+    if (hit) {
+      if (m) m.credCacheHit++;
+      return Promise.resolve(hit.username);
+    }
+  }
+  if (m) m.credCacheMiss++;
+
+  const gen = revocationGen;
   return new Promise((resolve, reject) => {
     loginClient.Validate({ credential }, (err, resp) => {
       if (err) return reject(err);
       if (!resp?.valid) {
         return reject({ code: grpc.status.UNAUTHENTICATED, message: "invalid credential" });
       }
+      credCachePut(credential, resp.username || "", Number(resp.expires_at_ms || 0), gen);
       resolve(resp.username || "");
     });
   });
 }
 
+// Resolves if username is an active account; NOT_FOUND otherwise.
+function requireUser(username) {
+  return new Promise((resolve, reject) => {
+    loginClient.UserExists({ username }, (err, resp) => {
+      if (err) return reject(err);
+      if (!resp?.exists) {
+        return reject({ code: grpc.status.NOT_FOUND, message: "user not found" });
+      }
+      resolve();
+    });
+  });
+}
+
+// Resolves if person_name is in room_name; NOT_FOUND / PERMISSION_DENIED otherwise.
+function requireMembership(room_name, person_name) {
+  return new Promise((resolve, reject) => {
+    chatClient.CheckMembership({ room_name, person_name }, (err, resp) => {
+      if (err) return reject(err);
+      if (!resp?.room_exists) {
+        return reject({ code: grpc.status.NOT_FOUND, message: "room not found" });
+      }
+      if (!resp?.is_member) {
+        return reject({ code: grpc.status.PERMISSION_DENIED, message: "not a member of this room" });
+      }
+      resolve();
+    });
+  });
+}
+
 async function CreateRoom(call, callback) {
   const rpcName = "Gateway.CreateRoom";
   const startNs = process.hrtime.bigint();
@@ -163,17 +357,20 @@ async function CreateRoom(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
     const room_name = call.request.room_name;
     if (!room_name) {
       return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
-    chatClient.CreateRoom({ room_name }, (e, resp) => {
-      if (e) return cb(e);
-      cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
-    });
+    chatClient.CreateRoom(
+      { room_name, caller: callerOf(username), is_private: !!call.request.is_private },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
   } catch (e) {
     cb(e);
   }
@@ -188,14 +385,14 @@ async function DeleteRoom(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
     const room_name = call.request.room_name;
     if (!room_name) {
       return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
-    chatClient.DeleteRoom({ room_name }, (e, resp) => {
+    chatClient.DeleteRoom({ room_name, caller: callerOf(username) }, (e, resp) => {
       if (e) return cb(e);
       cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
     });
@@ -213,18 +410,18 @@ async function EnterRoom(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
     const room_name = call.request.room_name;
-    const person_name = call.request.person_name;
-    if (!room_name || !person_name) {
-      return cb({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name and person_name required",
-      });
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
-    chatClient.EnterRoom({ room_name, person_name }, (e, resp) => {
+    const bound = bindPersonName(username, call.request.person_name);
+    if (bound.err) return cb(bound.err);
+    const { person_name } = bound;
+
+    chatClient.EnterRoom({ room_name, person_name, caller: callerOf(username) }, (e, resp) => {
       if (e) return cb(e);
       cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
     });
@@ -242,17 +439,17 @@ async function LeaveRoom(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
     const room_name = call.request.room_name;
-    const person_name = call.request.person_name;
-    if (!room_name || !person_name) {
-      return cb({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name and person_name required",
-      });
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
+    const bound = bindPersonName(username, call.request.person_name);
+    if (bound.err) return cb(bound.err);
+    const { person_name } = bound;
+
     chatClient.LeaveRoom({ room_name, person_name }, (e, resp) => {
       if (e) return cb(e);
       cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
@@ -271,16 +468,16 @@ async function GetPeople(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
     const room_name = call.request.room_name;
     if (!room_name) {
       return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
-    chatClient.GetPeople({ room_name }, (e, resp) => {
+    chatClient.GetPeople({ room_name, caller: callerOf(username) }, (e, resp) => {
       if (e) return cb(e);
-      cb(null, { people: resp?.people || [] });
+      cb(null, { people: resp?.people || [], members: resp?.members || [] });
     });
   } catch (e) {
     cb(e);
@@ -296,18 +493,31 @@ async function SendMessage(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
-    const { room_name, person_name, text, client_ts_ms, msg_id } = call.request;
-    if (!room_name || !person_name || !text) {
+    const { room_name, text, client_ts_ms, msg_id, reply_to_seq } = call.request;
+    if (!room_name || !text) {
       return cb({
         code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name, person_name, text required",
+        message: "room_name, text required",
       });
     }
 
+    const bound = bindPersonName(username, call.request.person_name);
+    if (bound.err) return cb(bound.err);
+    const { person_name } = bound;
+
+    await requireMembership(room_name, person_name);
+
     msgClient.SendMessage(
-      { room_name, person_name, text, client_ts_ms: client_ts_ms || 0, msg_id: msg_id || "" },
+      {
+        room_name,
+        person_name,
+        text,
+        client_ts_ms: client_ts_ms || 0,
+        msg_id: msg_id || "",
+        reply_to_seq: reply_to_seq || 0,
+      },
       (e, resp) => {
         if (e) return cb(e);
         cb(null, resp);
@@ -318,8 +528,10 @@ async function SendMessage(call, callback) {
   }
 }
 
-async function GetHistory(call, callback) {
-  const rpcName = "Gateway.GetHistory";
+// Members may edit/delete their own messages; chat-service also lets room
+// owners/moderators through. Admins skip the membership check.
+async function EditMessage(call, callback) {
+  const rpcName = "Gateway.EditMessage";
   const startNs = process.hrtime.bigint();
   const cb = wrapUnaryCallback(rpcName, callback, startNs);
 
@@ -327,88 +539,925 @@ async function GetHistory(call, callback) {
   if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
-    const { room_name, limit } = call.request;
-    if (!room_name) {
-      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    const { room_name, server_seq, text } = call.request;
+    if (!room_name || !Number(server_seq) || !text) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name, server_seq, text required",
+      });
     }
 
-    msgClient.GetHistory({ room_name, limit: limit || 20 }, (e, resp) => {
-      if (e) return cb(e);
-      cb(null, resp);
-    });
+    if (!isAdmin(username)) await requireMembership(room_name, username);
+
+    msgClient.EditMessage(
+      { room_name, server_seq, person_name: username, text, is_admin: isAdmin(username) },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, {
+          ok: !!resp?.ok,
+          message: resp?.ok ? "OK" : "FAIL",
+          edited_at_ms: resp?.edited_at_ms || 0,
+        });
+      }
+    );
   } catch (e) {
     cb(e);
   }
 }
 
-// server-streaming forward (instrumented)
-async function Subscribe(call) {
-  const rpcName = "Gateway.Subscribe";
+async function DeleteMessage(call, callback) {
+  const rpcName = "Gateway.DeleteMessage";
   const startNs = process.hrtime.bigint();
-  let ended = false;
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
 
-  const endOnce = (isErr) => {
-    if (ended) return;
-    ended = true;
-    if (!ENABLE_METRICS) return;
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
 
-    const end = process.hrtime.bigint();
-    const ms = Number(end - startNs) / 1_000_000;
-    observeRpc(rpcName, ms, isErr);
-  };
+  try {
+    const username = await validateCredential(cred, rpcName);
 
-  const cred = call.request?.auth?.credential;
-  if (!cred) {
-    endOnce(true);
-    call.destroy({ code: grpc.status.UNAUTHENTICATED, message: "credential required" });
-    return;
+    const { room_name, server_seq } = call.request;
+    if (!room_name || !Number(server_seq)) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name, server_seq required" });
+    }
+
+    if (!isAdmin(username)) await requireMembership(room_name, username);
+
+    msgClient.DeleteMessage(
+      { room_name, server_seq, person_name: username, is_admin: isAdmin(username) },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
   }
+}
+
+function AddReaction(call, callback) {
+  return forwardReaction(call, callback, "AddReaction");
+}
+
+function RemoveReaction(call, callback) {
+  return forwardReaction(call, callback, "RemoveReaction");
+}
+
+async function forwardReaction(call, callback, method) {
+  const rpcName = `Gateway.${method}`;
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
 
   try {
-    await validateCredential(cred);
+    const username = await validateCredential(cred, rpcName);
 
-    const { room_name, person_name } = call.request;
-    if (!room_name || !person_name) {
-      endOnce(true);
-      call.destroy({ code: grpc.status.INVALID_ARGUMENT, message: "room_name and person_name required" });
-      return;
+    const { room_name, server_seq, emoji } = call.request;
+    if (!room_name || !Number(server_seq) || !emoji) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name, server_seq, emoji required",
+      });
     }
 
-    const upstream = msgClient.Subscribe({ room_name, person_name });
+    await requireMembership(room_name, username);
 
-    upstream.on("data", (msg) => {
-      try { call.write(msg); } catch {}
+    msgClient[method]({ room_name, server_seq, person_name: username, emoji }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL", reactions: resp?.reactions || [] });
     });
+  } catch (e) {
+    cb(e);
+  }
+}
 
-    upstream.on("end", () => {
-      endOnce(false);
-      call.end();
-    });
+async function GetThread(call, callback) {
+  const rpcName = "Gateway.GetThread";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
 
-    upstream.on("error", (e) => {
-      endOnce(true);
-      call.destroy(e);
-    });
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
 
-    call.on("cancelled", () => {
-      upstream.cancel();
-      endOnce(false);
-    });
+  try {
+    const username = await validateCredential(cred, rpcName);
 
-    call.on("close", () => {
-      upstream.cancel();
-      endOnce(false);
+    const { room_name, server_seq, limit, after_server_seq } = call.request;
+    if (!room_name || !Number(server_seq)) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name, server_seq required" });
+    }
+
+    await requireMembership(room_name, username);
+
+    msgClient.GetThread(
+      { room_name, server_seq, limit: limit || 50, after_server_seq: after_server_seq || 0 },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, resp);
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+// ---------- notifications ----------
+async function ListNotifications(call, callback) {
+  const rpcName = "Gateway.ListNotifications";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { limit, before_notification_id, unacked_only } = call.request;
+    msgClient.ListNotifications(
+      {
+        person_name: username,
+        limit: limit || 20,
+        before_notification_id: before_notification_id || 0,
+        unacked_only: !!unacked_only,
+      },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, resp);
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function AckNotification(call, callback) {
+  const rpcName = "Gateway.AckNotification";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    msgClient.AckNotification(
+      { person_name: username, notification_id: call.request.notification_id || 0 },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, {
+          ok: !!resp?.ok,
+          message: resp?.ok ? "OK" : "FAIL",
+          acked_count: resp?.acked_count || 0,
+        });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+// ---------- direct messages ----------
+// No admin override here: a conversation is only ever visible to its two participants.
+async function OpenDirectConversation(call, callback) {
+  const rpcName = "Gateway.OpenDirectConversation";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { peer_name } = call.request;
+    if (!peer_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "peer_name required" });
+    }
+    await requireUser(peer_name);
+
+    msgClient.OpenDirectConversation({ person_name: username, peer_name }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, resp);
     });
+  } catch (e) {
+    cb(e);
+  }
+}
 
-    call.on("error", () => {
-      upstream.cancel();
-      endOnce(true);
+async function ListConversations(call, callback) {
+  const rpcName = "Gateway.ListConversations";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    msgClient.ListConversations(
+      { person_name: username, limit: call.request.limit || 50 },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { conversations: resp?.conversations || [] });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function SendDirectMessage(call, callback) {
+  const rpcName = "Gateway.SendDirectMessage";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { conversation_id, text, client_ts_ms, msg_id } = call.request;
+    if (!Number(conversation_id) || !text) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "conversation_id, text required" });
+    }
+
+    msgClient.SendDirectMessage(
+      {
+        person_name: username,
+        conversation_id,
+        text,
+        client_ts_ms: client_ts_ms || 0,
+        msg_id: msg_id || "",
+      },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, resp);
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function GetDirectHistory(call, callback) {
+  const rpcName = "Gateway.GetDirectHistory";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { conversation_id, limit, before_server_seq, after_server_seq } = call.request;
+    if (!Number(conversation_id)) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "conversation_id required" });
+    }
+
+    const histReq = {
+      person_name: username,
+      conversation_id,
+      limit: limit || 20,
+      before_server_seq: before_server_seq || 0,
+      after_server_seq: after_server_seq || 0,
+    };
+
+    msgClient.GetDirectHistory(histReq, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, resp);
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function MarkRead(call, callback) {
+  const rpcName = "Gateway.MarkRead";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, server_seq } = call.request;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    await requireMembership(room_name, username);
+
+    msgClient.MarkRead(
+      { room_name, person_name: username, server_seq: server_seq || 0 },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, {
+          ok: !!resp?.ok,
+          message: resp?.ok ? "OK" : "FAIL",
+          last_read_seq: resp?.last_read_seq || 0,
+        });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function SetTyping(call, callback) {
+  const rpcName = "Gateway.SetTyping";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, is_typing } = call.request;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    await requireMembership(room_name, username);
+
+    msgClient.SetTyping(
+      { room_name, person_name: username, is_typing: !!is_typing },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, {
+          ok: !!resp?.ok,
+          message: resp?.ok ? "OK" : "FAIL",
+          expires_at_ms: resp?.expires_at_ms || 0,
+        });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function ListMyRooms(call, callback) {
+  const rpcName = "Gateway.ListMyRooms";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    chatClient.ListMyRooms({ person_name: username }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { rooms: resp?.rooms || [] });
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+// chat-service limits results to the caller's rooms; a room filter is
+// checked here so non-members get the usual PERMISSION_DENIED.
+async function SearchMessages(call, callback) {
+  const rpcName = "Gateway.SearchMessages";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { query, room_name, author, from_ts_ms, to_ts_ms, limit, before_server_seq } =
+      call.request;
+    if (!query) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "query required" });
+    }
+
+    if (room_name) await requireMembership(room_name, username);
+
+    const searchReq = {
+      person_name: username,
+      query,
+      room_name: room_name || "",
+      author: author || "",
+      from_ts_ms: from_ts_ms || 0,
+      to_ts_ms: to_ts_ms || 0,
+      limit: limit || 20,
+      before_server_seq: before_server_seq || 0,
+    };
+
+    msgClient.SearchMessages(searchReq, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, resp);
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function GetHistory(call, callback) {
+  const rpcName = "Gateway.GetHistory";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, limit, before_server_seq, after_server_seq } = call.request;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    await requireMembership(room_name, username);
+
+    const histReq = {
+      room_name,
+      limit: limit || 20,
+      before_server_seq: before_server_seq || 0,
+      after_server_seq: after_server_seq || 0,
+    };
+
+    msgClient.GetHistory(histReq, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, resp);
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function GetPresence(call, callback) {
+  const rpcName = "Gateway.GetPresence";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const room_name = call.request.room_name;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    await requireMembership(room_name, username);
+
+    msgClient.GetPresence({ room_name }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { members: resp?.members || [] });
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function ListRooms(call, callback) {
+  const rpcName = "Gateway.ListRooms";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { name_prefix, page_size, page_token, sort_by, descending } = call.request;
+
+    chatClient.ListRooms(
+      { name_prefix, page_size, page_token, sort_by, descending, caller: callerOf(username) },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { rooms: resp?.rooms || [], next_page_token: resp?.next_page_token || "" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function SetMemberRole(call, callback) {
+  const rpcName = "Gateway.SetMemberRole";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, person_name, role } = call.request;
+    if (!room_name || !person_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+
+    chatClient.SetMemberRole(
+      { room_name, caller: callerOf(username), person_name, role },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function InviteToRoom(call, callback) {
+  const rpcName = "Gateway.InviteToRoom";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+
+    chatClient.InviteToRoom(
+      { room_name, caller: callerOf(username), person_name },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function ListInvites(call, callback) {
+  const rpcName = "Gateway.ListInvites";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    chatClient.ListInvites({ caller: callerOf(username) }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { invites: resp?.invites || [] });
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function AcceptInvite(call, callback) {
+  const rpcName = "Gateway.AcceptInvite";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const room_name = call.request.room_name;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    chatClient.AcceptInvite({ room_name, caller: callerOf(username) }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function KickMember(call, callback) {
+  const rpcName = "Gateway.KickMember";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+
+    chatClient.KickMember(
+      { room_name, caller: callerOf(username), person_name },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function BanMember(call, callback) {
+  const rpcName = "Gateway.BanMember";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, person_name, duration_ms } = call.request;
+    if (!room_name || !person_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+
+    chatClient.BanMember(
+      { room_name, caller: callerOf(username), person_name, duration_ms },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL", expires_at_ms: resp?.expires_at_ms || 0 });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function UnbanMember(call, callback) {
+  const rpcName = "Gateway.UnbanMember";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, person_name } = call.request;
+    if (!room_name || !person_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+
+    chatClient.UnbanMember(
+      { room_name, caller: callerOf(username), person_name },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function GetRoom(call, callback) {
+  const rpcName = "Gateway.GetRoom";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const room_name = call.request.room_name;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    chatClient.GetRoom({ room_name, caller: callerOf(username) }, (e, resp) => {
+      if (e) return cb(e);
+      cb(null, { room: resp?.room });
+    });
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function UpdateRoom(call, callback) {
+  const rpcName = "Gateway.UpdateRoom";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    // topic/description/max_members are proto3 optional: undefined = leave unchanged
+    const { room_name, topic, description, max_members } = call.request;
+    if (!room_name) {
+      return cb({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    chatClient.UpdateRoom(
+      { room_name, caller: callerOf(username), topic, description, max_members },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { room: resp?.room });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+async function RenameRoom(call, callback) {
+  const rpcName = "Gateway.RenameRoom";
+  const startNs = process.hrtime.bigint();
+  const cb = wrapUnaryCallback(rpcName, callback, startNs);
+
+  const { cred, err } = getCredentialOrFail(call.request);
+  if (err) return cb(err);
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+
+    const { room_name, new_room_name } = call.request;
+    if (!room_name || !new_room_name) {
+      return cb({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and new_room_name required",
+      });
+    }
+
+    chatClient.RenameRoom(
+      { room_name, caller: callerOf(username), new_room_name },
+      (e, resp) => {
+        if (e) return cb(e);
+        cb(null, { ok: !!resp?.ok, message: resp?.ok ? "OK" : "FAIL" });
+      }
+    );
+  } catch (e) {
+    cb(e);
+  }
+}
+
+// server-streaming forward (instrumented)
+function Subscribe(call) {
+  return forwardSubscription(call, "Gateway.Subscribe", roomSubscribeRequest, (req) =>
+    msgClient.Subscribe(req)
+  );
+}
+
+// Same checks as Subscribe; RoomEvent envelopes are passed through as-is.
+function SubscribeEvents(call) {
+  return forwardSubscription(call, "Gateway.SubscribeEvents", roomSubscribeRequest, (req) =>
+    msgClient.SubscribeEvents(req)
+  );
+}
+
+// Always the caller's own inbox.
+function SubscribeInbox(call) {
+  return forwardSubscription(
+    call,
+    "Gateway.SubscribeInbox",
+    async (username, req) => ({
+      person_name: username,
+      since_server_seq: req.since_server_seq || 0,
+    }),
+    (req) => msgClient.SubscribeInbox(req)
+  );
+}
+
+function SubscribeNotifications(call) {
+  return forwardSubscription(
+    call,
+    "Gateway.SubscribeNotifications",
+    async (username, req) => ({
+      person_name: username,
+      since_notification_id: req.since_notification_id || 0,
+    }),
+    (req) => msgClient.SubscribeNotifications(req)
+  );
+}
+
+// Upstream request for a room stream; rejects like the unary RPCs do.
+async function roomSubscribeRequest(username, req) {
+  const { room_name, since_server_seq, include_presence, include_typing, include_updates } = req;
+  if (!room_name) {
+    throw { code: grpc.status.INVALID_ARGUMENT, message: "room_name required" };
+  }
+
+  const bound = bindPersonName(username, req.person_name);
+  if (bound.err) throw bound.err;
+  const { person_name } = bound;
+
+  await requireMembership(room_name, person_name);
+
+  return {
+    room_name,
+    person_name,
+    since_server_seq: since_server_seq || 0,
+    include_presence: !!include_presence,
+    include_typing: !!include_typing,
+    include_updates: !!include_updates,
+  };
+}
+
+async function forwardSubscription(call, rpcName, buildRequest, openUpstream) {
+  const startNs = process.hrtime.bigint();
+  let ended = false;
+
+  const endOnce = (isErr) => {
+    if (ended) return;
+    ended = true;
+    if (!ENABLE_METRICS) return;
+
+    const end = process.hrtime.bigint();
+    const ms = Number(end - startNs) / 1_000_000;
+    observeRpc(rpcName, ms, isErr);
+  };
+
+  const cred = call.request?.auth?.credential;
+  if (!cred) {
+    endOnce(true);
+    call.destroy({ code: grpc.status.UNAUTHENTICATED, message: "credential required" });
+    return;
+  }
+
+  // Registered before the awaits: a client that goes away while the
+  // credential / membership checks run must not leave an upstream open.
+  let upstream = null;
+  let gone = false;
+  const onClientGone = (isErr) => {
+    gone = true;
+    if (upstream) upstream.cancel();
+    endOnce(isErr);
+  };
+  call.on("cancelled", () => onClientGone(false));
+  call.on("close", () => onClientGone(false));
+  call.on("error", () => onClientGone(true));
+
+  try {
+    const username = await validateCredential(cred, rpcName);
+    const req = await buildRequest(username, call.request);
+    if (gone || call.cancelled) return;
+    upstream = openUpstream(req);
+
+    upstream.on("data", (msg) => {
+      try { call.write(msg); } catch {}
+    });
+
+    upstream.on("end", () => {
+      endOnce(false);
+      call.end();
+    });
+
+    upstream.on("error", (e) => {
+      endOnce(true);
+      call.destroy(e);
     });
   } catch (e) {
     endOnce(true);
-    call.destroy(e);
+    if (!gone) call.destroy(e);
   }
 }
 
@@ -421,8 +1470,38 @@ function main() {
     LeaveRoom,
     GetPeople,
     SendMessage,
+    EditMessage,
+    DeleteMessage,
+    AddReaction,
+    RemoveReaction,
+    GetThread,
+    MarkRead,
+    SetTyping,
+    ListMyRooms,
+    SearchMessages,
     Subscribe,
+    SubscribeEvents,
     GetHistory,
+    GetPresence,
+    ListRooms,
+    SetMemberRole,
+    InviteToRoom,
+    ListInvites,
+    AcceptInvite,
+    KickMember,
+    BanMember,
+    UnbanMember,
+    GetRoom,
+    UpdateRoom,
+    RenameRoom,
+    ListNotifications,
+    AckNotification,
+    SubscribeNotifications,
+    OpenDirectConversation,
+    ListConversations,
+    SendDirectMessage,
+    GetDirectHistory,
+    SubscribeInbox,
   });
 
   const addr = "0.0.0.0:50052";
@@ -0,0 +1,9 @@
+-- ============================================================
+-- PASSWORD HASHING
+-- password_hash: scrypt$N$r$p$salt$hash (see contracts/lib/passwords.js)
+-- password_plain: legacy only; cleared when the user next logs in and the
+-- password is rehashed. Seeds (demo, perf_demo*) migrate on first login.
+-- ============================================================
+ALTER TABLE users
+  ADD COLUMN password_hash VARCHAR(255) NULL AFTER user_name,
+  MODIFY COLUMN password_plain VARCHAR(255) NULL;
@@ -0,0 +1,30 @@
+-- ============================================================
+-- TABLE: session_revocations
+-- Append-only log of revoked sessions, tailed by id for
+-- LoginService.WatchRevocations (gateway credential caches).
+-- Filled by trigger so every revoke path (Logout, RevokeSession,
+-- RefreshCredential rotate, RemoveUser) is covered.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS session_revocations (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  session_id BIGINT UNSIGNED NOT NULL,
+  credential VARCHAR(128) NOT NULL,
+  revoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_session_revocations_revoked_at (revoked_at)
+);
+
+DELIMITER $$
+
+DROP TRIGGER IF EXISTS trg_sessions_revoked $$
+CREATE TRIGGER trg_sessions_revoked
+AFTER UPDATE ON sessions
+FOR EACH ROW
+BEGIN
+  IF OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL THEN
+    INSERT INTO session_revocations (session_id, credential)
+    VALUES (NEW.id, NEW.credential);
+  END IF;
+END $$
+
+DELIMITER ;
@@ -0,0 +1,12 @@
+-- ============================================================
+-- SIGNED TOKENS (TOKEN_MODE=signed)
+-- Signed credentials are ~200 chars; widen the column so sessions
+-- can still be looked up, listed and revoked by credential. The
+-- revocation log is filled from sessions.credential by trigger,
+-- so it must be at least as wide or every revoke fails.
+-- ============================================================
+ALTER TABLE sessions
+  MODIFY COLUMN credential VARCHAR(512) NOT NULL;
+
+ALTER TABLE session_revocations
+  MODIFY COLUMN credential VARCHAR(512) NOT NULL;
@@ -3,6 +3,18 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const mysql = require("mysql2/promise");
 const { v4: uuidv4 } = require("uuid");
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  plainMatches,
+} = require("/contracts/lib/passwords");
+const {
+  loadSigningConfig,
+  signToken,
+  verifyToken,
+  isSignedToken,
+} = require("/contracts/lib/tokens");
 
 const PROTO_PATH = path.resolve("/contracts/proto/auth.proto");
 
@@ -16,6 +28,15 @@ const packageDef = protoLoader.loadSync(PROTO_PATH, {
 const proto = grpc.loadPackageDefinition(packageDef);
 
 const TOKEN_TTL_MINUTES = parseInt(process.env.TOKEN_TTL_MINUTES || "60", 10);
+const REVOCATION_POLL_MS = parseInt(process.env.REVOCATION_POLL_MS || "500", 10);
+
+// opaque: cred-<uuid>, every check is a DB lookup
+// signed: HMAC-signed token (contracts/lib/tokens.js) that verifiers can check locally
+const TOKEN_MODE = (process.env.TOKEN_MODE || "opaque").toLowerCase();
+const signing = loadSigningConfig();
+if (TOKEN_MODE === "signed" && !signing.keys.has(signing.kid)) {
+  throw new Error("TOKEN_MODE=signed requires TOKEN_SIGNING_KEYS (and a valid TOKEN_SIGNING_KID)");
+}
 
 let pool;
 
@@ -32,11 +53,64 @@ async function initDb() {
   await pool.query("SELECT 1");
 }
 
-function mysqlDateFromNow(minutes) {
-  const d = new Date(Date.now() + minutes * 60 * 1000);
+function toMysqlDate(d) {
   return d.toISOString().slice(0, 19).replace("T", " ");
 }
 
+/**
+ * Checks a password against users.password_hash, falling back to the legacy
+ * password_plain column. Legacy or outdated rows are rehashed on success and
+ * their plaintext is cleared.
+ */
+async function checkPassword(user, password) {
+  let ok;
+  if (user.password_hash) {
+    ok = await verifyPassword(password, user.password_hash);
+  } else {
+    ok = plainMatches(password, user.password_plain);
+  }
+  if (!ok) return false;
+
+  if (!user.password_hash || needsRehash(user.password_hash)) {
+    const hash = await hashPassword(password);
+    await pool.query(
+      "UPDATE users SET password_hash = ?, password_plain = NULL WHERE id = ?",
+      [hash, user.id]
+    );
+  }
+  return true;
+}
+
+/**
+ * Creates a session row and returns its credential. `db` is the pool or a
+ * connection inside a transaction. Signed tokens embed the session id, so the
+ * row is inserted first and its credential filled in after signing.
+ */
+async function issueCredential(db, userId, username) {
+  const expires = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+  const expiresAt = toMysqlDate(expires);
+
+  if (TOKEN_MODE !== "signed") {
+    const credential = `cred-${uuidv4()}`;
+    await db.query(
+      "INSERT INTO sessions (user_id, credential, expires_at) VALUES (?, ?, ?)",
+      [userId, credential, expiresAt]
+    );
+    return { credential, expires };
+  }
+
+  const [res] = await db.query(
+    "INSERT INTO sessions (user_id, credential, expires_at) VALUES (?, ?, ?)",
+    [userId, `pending-${uuidv4()}`, expiresAt]
+  );
+  const credential = signToken(
+    { username, sessionId: res.insertId, expiresAtMs: expires.getTime() },
+    signing
+  );
+  await db.query("UPDATE sessions SET credential = ? WHERE id = ?", [credential, res.insertId]);
+  return { credential, expires };
+}
+
 async function Login(call, callback) {
   try {
     const { username, password } = call.request;
@@ -48,27 +122,19 @@ async function Login(call, callback) {
       });
     }
 
-    // plain-text password check (debug only)
     const [rows] = await pool.query(
-      "SELECT id FROM users WHERE user_name = ? AND password_plain = ? AND is_active = 1",
-      [username, password]
+      "SELECT id, password_hash, password_plain FROM users WHERE user_name = ? AND is_active = 1",
+      [username]
     );
 
-    if (rows.length === 0) {
+    if (rows.length === 0 || !(await checkPassword(rows[0], password))) {
       return callback({
         code: grpc.status.UNAUTHENTICATED,
         message: "invalid credentials",
       });
     }
 
-    const userId = rows[0].id;
-    const credential = `cred-${uuidv4()}`;
-    const expiresAt = mysqlDateFromNow(TOKEN_TTL_MINUTES);
-
-    await pool.query(
-      "INSERT INTO sessions (user_id, credential, expires_at) VALUES (?, ?, ?)",
-      [userId, credential, expiresAt]
-    );
+    const { credential } = await issueCredential(pool, rows[0].id, username);
 
     return callback(null, { credential });
   } catch (e) {
@@ -90,6 +156,11 @@ async function Validate(call, callback) {
       });
     }
 
+    // Forged or expired signed tokens are rejected without touching the DB.
+    if (isSignedToken(credential) && !verifyToken(credential, signing.keys)) {
+      return callback(null, { valid: false, username: "" });
+    }
+
     const [rows] = await pool.query(
       `SELECT u.user_name, s.expires_at, s.revoked_at
        FROM sessions s
@@ -109,6 +180,7 @@ async function Validate(call, callback) {
     return callback(null, {
       valid,
       username: valid ? row.user_name : "",
+      expires_at_ms: valid ? new Date(row.expires_at).getTime() : 0,
     });
   } catch (e) {
     return callback({
@@ -129,9 +201,10 @@ async function AddUser(call, callback) {
       });
     }
 
+    const hash = await hashPassword(password);
     await pool.query(
-      "INSERT INTO users (user_name, password_plain) VALUES (?, ?)",
-      [username, password]
+      "INSERT INTO users (user_name, password_hash, password_plain) VALUES (?, ?, NULL)",
+      [username, hash]
     );
 
     return callback(null, { ok: true });
@@ -187,10 +260,35 @@ async function RemoveUser(call, callback) {
   }
 }
 
+async function UserExists(call, callback) {
+  try {
+    const { username } = call.request;
+
+    if (!username) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "username is required",
+      });
+    }
+
+    const [u] = await pool.query(
+      "SELECT 1 FROM users WHERE user_name = ? AND is_active = 1 LIMIT 1",
+      [username]
+    );
+
+    return callback(null, { exists: u.length > 0 });
+  } catch (e) {
+    return callback({
+      code: grpc.status.INTERNAL,
+      message: e.message || "internal error",
+    });
+  }
+}
+
 async function WhoIsLoggedIn(call, callback) {
   try {
     const [rows] = await pool.query(
-      `SELECT u.user_name, s.credential, s.expires_at
+      `SELECT s.id, u.user_name, s.credential, s.expires_at
        FROM sessions s
        JOIN users u ON u.id = s.user_id
        WHERE s.revoked_at IS NULL
@@ -203,6 +301,7 @@ async function WhoIsLoggedIn(call, callback) {
         username: r.user_name,
         credential: r.credential,
         expires_at_iso: new Date(r.expires_at).toISOString(),
+        session_id: Number(r.id),
       })),
     });
   } catch (e) {
@@ -213,8 +312,229 @@ async function WhoIsLoggedIn(call, callback) {
   }
 }
 
+async function Logout(call, callback) {
+  try {
+    const { credential } = call.request;
+
+    if (!credential) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "credential is required",
+      });
+    }
+
+    const [res] = await pool.query(
+      "UPDATE sessions SET revoked_at = NOW() WHERE credential = ? AND revoked_at IS NULL",
+      [credential]
+    );
+
+    return callback(null, { ok: res.affectedRows > 0 });
+  } catch (e) {
+    return callback({
+      code: grpc.status.INTERNAL,
+      message: e.message || "internal error",
+    });
+  }
+}
+
+async function RevokeSession(call, callback) {
+  try {
+    const sessionId = Number(call.request.session_id || 0);
+    const { credential } = call.request;
+
+    if (!sessionId && !credential) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "session_id or credential is required",
+      });
+    }
+
+    const [res] = sessionId
+      ? await pool.query(
+          "UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+          [sessionId]
+        )
+      : await pool.query(
+          "UPDATE sessions SET revoked_at = NOW() WHERE credential = ? AND revoked_at IS NULL",
+          [credential]
+        );
+
+    return callback(null, { ok: res.affectedRows > 0 });
+  } catch (e) {
+    return callback({
+      code: grpc.status.INTERNAL,
+      message: e.message || "internal error",
+    });
+  }
+}
+
+async function RefreshCredential(call, callback) {
+  const { credential, rotate } = call.request;
+
+  if (!credential) {
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: "credential is required",
+    });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT s.id, s.user_id, s.expires_at, u.user_name
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.credential = ?
+         AND s.revoked_at IS NULL
+         AND u.is_active = 1
+       LIMIT 1
+       FOR UPDATE`,
+      [credential]
+    );
+
+    if (rows.length === 0 || new Date(rows[0].expires_at) <= new Date()) {
+      await conn.rollback();
+      return callback({
+        code: grpc.status.UNAUTHENTICATED,
+        message: "credential expired or revoked",
+      });
+    }
+
+    const session = rows[0];
+    let issued;
+
+    // A signed token's expiry is baked in, so refreshing one always rotates.
+    if (rotate || TOKEN_MODE === "signed") {
+      await conn.query("UPDATE sessions SET revoked_at = NOW() WHERE id = ?", [session.id]);
+      issued = await issueCredential(conn, session.user_id, session.user_name);
+    } else {
+      const expires = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+      await conn.query("UPDATE sessions SET expires_at = ? WHERE id = ?", [
+        toMysqlDate(expires),
+        session.id,
+      ]);
+      issued = { credential, expires };
+    }
+
+    await conn.commit();
+    return callback(null, {
+      credential: issued.credential,
+      expires_at_iso: issued.expires.toISOString(),
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    return callback({
+      code: grpc.status.INTERNAL,
+      message: e.message || "internal error",
+    });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * Revocation feed. One poller per process tails session_revocations by id
+ * (rows written by trg_sessions_revoked on any replica) and pushes them to
+ * every open WatchRevocations stream.
+ */
+const revocationWatchers = new Set();
+let revocationCursor = 0;
+
+function toRevocationEvent(r) {
+  return {
+    id: Number(r.id),
+    session_id: Number(r.session_id),
+    credential: r.credential,
+    sync: false,
+  };
+}
+
+async function pollRevocations() {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, session_id, credential
+       FROM session_revocations
+       WHERE id > ?
+       ORDER BY id ASC
+       LIMIT 1000`,
+      [revocationCursor]
+    );
+    for (const r of rows) {
+      revocationCursor = Number(r.id);
+      const ev = toRevocationEvent(r);
+      for (const w of revocationWatchers) {
+        try {
+          w.write(ev);
+        } catch {
+          revocationWatchers.delete(w);
+        }
+      }
+    }
+  } catch (e) {
+    console.error("[WatchRevocations] poll failed:", e.message || e);
+  } finally {
+    setTimeout(pollRevocations, REVOCATION_POLL_MS).unref();
+  }
+}
+
+async function startRevocationFeed() {
+  const [rows] = await pool.query("SELECT COALESCE(MAX(id), 0) AS max_id FROM session_revocations");
+  revocationCursor = Number(rows[0].max_id);
+  setTimeout(pollRevocations, REVOCATION_POLL_MS).unref();
+}
+
+function WatchRevocations(call) {
+  const since = Number(call.request.since_id || 0);
+  const replayUnexpired = since === 0 && !!call.request.replay_unexpired;
+
+  // Register first so nothing newer than `upTo` is missed; replay may overlap
+  // with live events, which is harmless (invalidation is idempotent).
+  const upTo = revocationCursor;
+  revocationWatchers.add(call);
+  const cleanup = () => revocationWatchers.delete(call);
+  call.on("cancelled", cleanup);
+  call.on("close", cleanup);
+  call.on("error", cleanup);
+
+  (async () => {
+    let cursor = since;
+    if (replayUnexpired) {
+      // Sessions revoked longer than a token TTL ago can only have expired tokens.
+      const [first] = await pool.query(
+        `SELECT COALESCE(MIN(id), 0) AS min_id
+         FROM session_revocations
+         WHERE revoked_at > NOW() - INTERVAL ? MINUTE`,
+        [TOKEN_TTL_MINUTES]
+      );
+      cursor = Math.max(0, Number(first[0].min_id) - 1);
+    }
+
+    while ((since > 0 || replayUnexpired) && cursor < upTo) {
+      const [rows] = await pool.query(
+        `SELECT id, session_id, credential
+         FROM session_revocations
+         WHERE id > ? AND id <= ?
+         ORDER BY id ASC
+         LIMIT 1000`,
+        [cursor, upTo]
+      );
+      if (rows.length === 0) break;
+      for (const r of rows) call.write(toRevocationEvent(r));
+      cursor = Number(rows[rows.length - 1].id);
+    }
+    call.write({ id: upTo, session_id: 0, credential: "", sync: true });
+  })().catch((e) => {
+    cleanup();
+    call.destroy({ code: grpc.status.INTERNAL, message: e.message || "internal error" });
+  });
+}
+
 async function main() {
   await initDb();
+  await startRevocationFeed();
 
   const server = new grpc.Server();
   server.addService(proto.auth.LoginService.service, {
@@ -222,7 +542,12 @@ async function main() {
     Validate,
     AddUser,
     RemoveUser,
+    UserExists,
     WhoIsLoggedIn,
+    Logout,
+    RevokeSession,
+    RefreshCredential,
+    WatchRevocations,
   });
 
   const addr = "0.0.0.0:50051";
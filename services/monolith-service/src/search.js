@@ -0,0 +1,75 @@
+/**
+ * In-memory stand-in for chat-service's FULLTEXT search: same query rules
+ * (chat-service/src/search.js), backed by a per-room inverted index.
+ *
+ * An index exposes: add(msg), remove(msg), search(requiredTerms).
+ * remove() must see the text that was indexed, so call it before editing.
+ */
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+
+// Mirrors innodb_ft_min_token_size so both backends accept the same queries.
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+
+function tokenize(text) {
+  return Array.from(String(text || "").toLowerCase().matchAll(WORD_RE), (m) => m[0]);
+}
+
+// -> { terms: words to highlight, required: words that must match }
+function parseQuery(query) {
+  const terms = Array.from(new Set(tokenize(query))).slice(0, MAX_TERMS);
+  return { terms, required: terms.filter((t) => t.length >= MIN_TERM_LENGTH) };
+}
+
+// [{ start, end }] for every word in `text` that starts with one of `terms`.
+function highlight(text, terms) {
+  const ranges = [];
+  for (const m of String(text || "").matchAll(WORD_RE)) {
+    const word = m[0].toLowerCase();
+    if (terms.some((t) => word.startsWith(t))) {
+      ranges.push({ start: m.index, end: m.index + m[0].length });
+    }
+  }
+  return ranges;
+}
+
+function createSearchIndex() {
+  // token -> Set(message)
+  const postings = new Map();
+
+  return {
+    add(msg) {
+      for (const token of new Set(tokenize(msg.text))) {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(msg);
+      }
+    },
+    remove(msg) {
+      for (const token of new Set(tokenize(msg.text))) {
+        const set = postings.get(token);
+        if (!set) continue;
+        set.delete(msg);
+        if (set.size === 0) postings.delete(token);
+      }
+    },
+    // Messages with a word starting with every term (unordered).
+    search(required) {
+      let result = null;
+      for (const term of required) {
+        const matches = new Set();
+        for (const [token, set] of postings) {
+          if (!token.startsWith(term)) continue;
+          for (const m of set) {
+            if (!result || result.has(m)) matches.add(m);
+          }
+        }
+        result = matches;
+        if (result.size === 0) break;
+      }
+      return Array.from(result || []);
+    },
+  };
+}
+
+module.exports = { createSearchIndex, parseQuery, highlight, MIN_TERM_LENGTH };
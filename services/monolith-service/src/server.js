@@ -3,6 +3,19 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const { v4: uuidv4 } = require("uuid");
 const mysql = require("mysql2/promise");
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  plainMatches,
+} = require("/contracts/lib/passwords");
+const {
+  loadSigningConfig,
+  signToken,
+  verifyToken,
+  isSignedToken,
+} = require("/contracts/lib/tokens");
+const { createSearchIndex, parseQuery, highlight, MIN_TERM_LENGTH } = require("./search");
 
 // ---- PROTO PATHS (mounted from /contracts/proto in docker) ----
 const AUTH_PROTO = path.resolve("/contracts/proto/auth.proto");
@@ -41,6 +54,17 @@ const DB_CFG = {
 const SESSION_TTL_MS = 60 * 60 * 1000; // 60 minutes
 let dbPool = null;
 
+// opaque (cred-<uuid>) or signed (see contracts/lib/tokens.js). Signed tokens are verified
+// in-process; only revoked session ids need a lookup, and those are in memory.
+const TOKEN_MODE = (process.env.TOKEN_MODE || "opaque").toLowerCase();
+const signing = loadSigningConfig();
+if (TOKEN_MODE === "signed" && !signing.keys.has(signing.kid)) {
+  throw new Error("TOKEN_MODE=signed requires TOKEN_SIGNING_KEYS (and a valid TOKEN_SIGNING_KID)");
+}
+
+// session ids revoked while their tokens may still be unexpired
+const revokedSessionIds = new Set();
+
 async function connectWithRetry() {
   const attempts = envInt("DB_CONNECT_ATTEMPTS", 60);
   const delayMs = envInt("DB_CONNECT_DELAY_MS", 1000);
@@ -71,13 +95,13 @@ async function connectWithRetry() {
 
 // Sanity guard. Init scripts run only on first volume creation.
 async function ensureSchemaExists(pool) {
-  await pool.query("SELECT 1 FROM users LIMIT 1");
+  await pool.query("SELECT password_hash FROM users LIMIT 1");
   await pool.query("SELECT 1 FROM sessions LIMIT 1");
 }
 
 async function dbFindUser(username) {
   const [rows] = await dbPool.query(
-    `SELECT id, user_name, password_plain, is_active
+    `SELECT id, user_name, password_hash, password_plain, is_active
      FROM users
      WHERE user_name = ?
      LIMIT 1`,
@@ -86,18 +110,68 @@ async function dbFindUser(username) {
   return rows[0] || null;
 }
 
+// Verifies against password_hash, or migrates a legacy password_plain row.
+async function dbCheckPassword(user, password) {
+  const ok = user.password_hash
+    ? await verifyPassword(password, user.password_hash)
+    : plainMatches(password, user.password_plain);
+  if (!ok) return false;
+
+  if (!user.password_hash || needsRehash(user.password_hash)) {
+    const hash = await hashPassword(password);
+    await dbPool.query(
+      `UPDATE users SET password_hash = ?, password_plain = NULL WHERE id = ?`,
+      [hash, user.id]
+    );
+  }
+  return true;
+}
+
 function makeCredential() {
   // Must fit VARCHAR(128)
   return `cred-${uuidv4()}`;
 }
 
-async function dbCreateSession(userId, credential, ttlMs) {
+// `db` is dbPool or a connection inside a transaction.
+async function dbCreateSession(db, user, ttlMs) {
   const ttlSec = Math.floor(ttlMs / 1000);
-  await dbPool.query(
+  const signed = TOKEN_MODE === "signed";
+  const placeholder = signed ? `pending-${uuidv4()}` : makeCredential();
+  const [res] = await db.query(
     `INSERT INTO sessions (user_id, credential, expires_at)
      VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
-    [userId, credential, ttlSec]
+    [user.id, placeholder, ttlSec]
+  );
+  if (!signed) return placeholder;
+
+  // Signed tokens embed the session id, so sign after the insert.
+  const credential = signToken(
+    { username: user.user_name, sessionId: res.insertId, expiresAtMs: Date.now() + ttlMs },
+    signing
+  );
+  await db.query(`UPDATE sessions SET credential = ? WHERE id = ?`, [credential, res.insertId]);
+  return credential;
+}
+
+// Revokes matching live sessions and remembers their ids for local verification.
+async function dbRevokeSessions(db, whereSql, params) {
+  const [rows] = await db.query(
+    `SELECT id FROM sessions WHERE ${whereSql} AND revoked_at IS NULL`,
+    params
+  );
+  if (rows.length === 0) return 0;
+
+  const ids = rows.map((r) => Number(r.id));
+  await db.query(`UPDATE sessions SET revoked_at = NOW() WHERE id IN (?)`, [ids]);
+  for (const id of ids) revokedSessionIds.add(id);
+  return ids.length;
+}
+
+async function loadRevokedSessions(pool) {
+  const [rows] = await pool.query(
+    `SELECT id FROM sessions WHERE revoked_at IS NOT NULL AND expires_at > NOW()`
   );
+  for (const r of rows) revokedSessionIds.add(Number(r.id));
 }
 
 async function dbValidateCredential(credential) {
@@ -125,6 +199,14 @@ async function validateCredentialOrThrowAsync(credential) {
     throw err;
   }
 
+  if (TOKEN_MODE === "signed" && isSignedToken(credential)) {
+    const claims = verifyToken(credential, signing.keys);
+    if (claims && !revokedSessionIds.has(claims.sessionId)) return claims.username;
+    const err = new Error("invalid credential");
+    err.code = grpc.status.UNAUTHENTICATED;
+    throw err;
+  }
+
   const username = await dbValidateCredential(credential);
   if (!username) {
     const err = new Error("invalid credential");
@@ -134,6 +216,21 @@ async function validateCredentialOrThrowAsync(credential) {
   return username;
 }
 
+// Users allowed to act as any person_name (comma separated usernames).
+const ADMIN_USERS = new Set(
+  (process.env.ADMIN_USERS || "").split(",").map((u) => u.trim()).filter(Boolean)
+);
+
+// person_name defaults to the caller; a different name needs ADMIN_USERS.
+function bindPersonNameOrThrow(username, requested) {
+  if (!requested || requested === username) return username;
+  if (ADMIN_USERS.has(username)) return requested;
+
+  const err = new Error(`person_name "${requested}" does not match authenticated user`);
+  err.code = grpc.status.PERMISSION_DENIED;
+  throw err;
+}
+
 // ==========================
 // In-memory room/chat state
 // ==========================
@@ -141,24 +238,304 @@ async function validateCredentialOrThrowAsync(credential) {
 // room_name -> Set(person_name)
 const rooms = new Map();
 
-// room_name -> [{ server_seq, person_name, text, ts_ms }]
+// room_name -> created_at (ms), for ListRooms
+const roomCreatedAt = new Map();
+
+// room_name -> { room_id, topic, description, max_members }  (max_members 0 = unlimited)
+const roomMeta = new Map();
+let NEXT_ROOM_ID = 0;
+
+// room_name -> owner username (set by CreateRoom); room_name -> Set(moderator)
+const roomOwners = new Map();
+const roomModerators = new Map();
+
+// Private rooms; room_name -> Map(person_name -> { invited_by, created_at })
+const privateRooms = new Set();
+const roomInvites = new Map();
+
+// room_name -> [{ server_seq, person_name, text, ts_ms, msg_id, edited_at_ms, deleted_at_ms, edits,
+//                 reply_to_seq, thread_root_seq, replies, reactions }]
+// `edits` is the audit trail: [{ kind, editor_name, old_text, new_text, edited_at_ms }]
+// `replies` (thread roots only) holds the reply messages in server_seq order;
+// `reactions` is Map(emoji -> Set(person_name)) in order of first use.
 const messageHistory = new Map();
 
-// room_name -> Set(streamCall)
+// room_name -> Map(streamCall -> { person_name, include_presence, include_typing,
+//                                  include_updates, events })
 const roomSubscribers = new Map();
 
+// room_name -> Map(person_name -> { state, last_active_ms, last_seen_ms }), see refreshPresence
+const roomPresence = new Map();
+const PRESENCE_IDLE_MS = envInt("PRESENCE_IDLE_MS", 300000);
+const PRESENCE_SWEEP_MS = envInt("PRESENCE_SWEEP_MS", 5000);
+
+// room_name -> Map(person_name -> ban expiry ms, 0 = permanent)
+const roomBans = new Map();
+
+const MAX_EMOJI_LENGTH = 32;
+
+// room_name -> Map(person_name -> { expires_at_ms, refreshed_at_ms }); same TTL,
+// coalescing and per-person rate limit as chat-service/src/typing.js
+const roomTyping = new Map();
+// person_name -> { start, count } fixed window of typing updates
+const typingWindows = new Map();
+const TYPING_TTL_MS = envInt("TYPING_TTL_MS", 6000);
+const TYPING_REFRESH_MS = envInt("TYPING_REFRESH_MS", 2000);
+const TYPING_MAX_PER_WINDOW = envInt("TYPING_MAX_PER_WINDOW", 10);
+const TYPING_WINDOW_MS = envInt("TYPING_WINDOW_MS", 10000);
+const TYPING_SWEEP_MS = envInt("TYPING_SWEEP_MS", 500);
+
+// room_name -> Map(person_name -> last_read_seq); cleared when the person leaves
+const roomReadState = new Map();
+const UNREAD_COUNT_CAP = 1000;
+
+// username -> [{ notification_id, kind, room_name, server_seq, sender_name, text,
+//               created_at_ms, acked }] oldest first
+const userNotifications = new Map();
+// username -> Set(streamCall) for SubscribeNotifications
+const notificationSubscribers = new Map();
+let NEXT_NOTIFICATION_ID = 0;
+// same parsing as chat-service: "@name", trailing "." / "-" not part of it
+const MENTION_RE = /(?:^|[^\w@])@([\w.-]{1,100})/g;
+const MAX_MENTIONS = 50;
+const NOTIFICATION_PREVIEW_CHARS = 200;
+
+// room_name -> search index over the room's live (non-deleted) messages
+const roomSearch = new Map();
+function roomSearchIndex(roomName) {
+  if (!roomSearch.has(roomName)) roomSearch.set(roomName, createSearchIndex());
+  return roomSearch.get(roomName);
+}
+
+// room_name -> Map(msg_id -> message), makes retried SendMessage idempotent
+const messageIds = new Map();
+
 // sequence counter
 let GLOBAL_SEQ = 0;
 
+// Direct messages: one conversation per pair (user_a < user_b), like chat-service.
+// conversation id -> { id, user_a, user_b, created_at_ms, messages, msgIds }
+// messages: [{ server_seq, sender_name, text, client_ts_ms, ts_ms, msg_id }]
+const directConversations = new Map();
+// "user_a\nuser_b" -> conversation id
+const directPairs = new Map();
+// username -> Set(conversation id)
+const userConversations = new Map();
+// username -> Set(streamCall) for SubscribeInbox
+const inboxSubscribers = new Map();
+let NEXT_CONVERSATION_ID = 0;
+let DIRECT_SEQ = 0;
+
 function ensureMessagingRoom(roomName) {
-  if (!rooms.has(roomName)) rooms.set(roomName, new Set());
   if (!messageHistory.has(roomName)) messageHistory.set(roomName, []);
-  if (!roomSubscribers.has(roomName)) roomSubscribers.set(roomName, new Set());
+  if (!roomSubscribers.has(roomName)) roomSubscribers.set(roomName, new Map());
+  if (!messageIds.has(roomName)) messageIds.set(roomName, new Map());
+}
+
+function toStreamMessage(m) {
+  return {
+    person_name: m.person_name,
+    text: m.text,
+    server_seq: m.server_seq,
+    edited_at_ms: m.edited_at_ms || 0,
+    deleted: !!m.deleted_at_ms,
+    reply_to_seq: m.reply_to_seq || 0,
+    thread_root_seq: m.thread_root_seq || 0,
+    reactions: reactionCounts(m),
+  };
+}
+
+function reactionCounts(m) {
+  return Array.from(m.reactions || [], ([emoji, people]) => ({ emoji, count: people.size }));
+}
+
+function toRoomEvent(roomName, m) {
+  return {
+    room_name: roomName,
+    server_ts_ms: m.ts_ms,
+    message: { ...toStreamMessage(m), room_name: roomName, server_ts_ms: m.ts_ms },
+  };
+}
+
+// Non-message RoomEvents only go to SubscribeEvents streams.
+function emitRoomEvent(roomName, evt) {
+  const subs = roomSubscribers.get(roomName);
+  if (!subs) return;
+  const event = { room_name: roomName, server_ts_ms: Date.now(), ...evt };
+  for (const [streamCall, sub] of subs) {
+    if (!sub.events) continue;
+    try {
+      streamCall.write(event);
+    } catch (_) {}
+  }
+}
+
+// History arrays are appended in server_seq order, so binary search the cursor.
+// Returns the index of the first message with server_seq > seq.
+function indexAfterSeq(arr, seq) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid].server_seq <= seq) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function historyAfter(arr, sinceSeq) {
+  return arr.slice(indexAfterSeq(arr, sinceSeq));
+}
+
+// Same rule as the gateway: room must exist and person must have entered it.
+function requireMembershipOrThrow(roomName, personName) {
+  const people = rooms.get(roomName);
+  if (!people) {
+    const err = new Error("room not found");
+    err.code = grpc.status.NOT_FOUND;
+    throw err;
+  }
+  if (!people.has(personName)) {
+    const err = new Error("not a member of this room");
+    err.code = grpc.status.PERMISSION_DENIED;
+    throw err;
+  }
+}
+
+// "owner" | "moderator" | "member" | null, same rules as chatroom-service.
+function roomRole(roomName, personName) {
+  if (roomOwners.get(roomName) === personName) return "owner";
+  if (roomModerators.get(roomName)?.has(personName)) return "moderator";
+  return rooms.get(roomName)?.has(personName) ? "member" : null;
+}
+
+const ROLE_ENUM = {
+  owner: "ROOM_ROLE_OWNER",
+  moderator: "ROOM_ROLE_MODERATOR",
+  member: "ROOM_ROLE_MEMBER",
+};
+
+function isBannedFrom(roomName, personName) {
+  const bans = roomBans.get(roomName);
+  if (!bans || !bans.has(personName)) return false;
+  const until = bans.get(personName);
+  if (until === 0 || until > Date.now()) return true;
+  bans.delete(personName);
+  return false;
+}
+
+// Kick/ban/delete: end live streams for the room (personName null = all of them).
+function endSubscriptions(roomName, personName, status) {
+  const subs = roomSubscribers.get(roomName);
+  if (!subs) return;
+  for (const [streamCall, sub] of subs) {
+    if (personName != null && sub.person_name !== personName) continue;
+    subs.delete(streamCall);
+    streamCall.emit("error", status);
+    streamCall.end();
+  }
+  if (personName != null) refreshPresence(roomName, personName);
+}
+
+function presenceEntry(roomName, personName) {
+  if (!roomPresence.has(roomName)) roomPresence.set(roomName, new Map());
+  const people = roomPresence.get(roomName);
+  if (!people.has(personName)) {
+    people.set(personName, { state: "PRESENCE_OFFLINE", last_active_ms: 0, last_seen_ms: 0 });
+  }
+  return people.get(personName);
+}
+
+// Same rules as chat-service: a live stream makes you ONLINE, or IDLE once
+// you have not connected/sent for PRESENCE_IDLE_MS.
+function computePresence(roomName, personName, lastActiveMs) {
+  let live = false;
+  for (const sub of roomSubscribers.get(roomName)?.values() || []) {
+    if (sub.person_name === personName) {
+      live = true;
+      break;
+    }
+  }
+  if (!live) return "PRESENCE_OFFLINE";
+  return Date.now() - lastActiveMs > PRESENCE_IDLE_MS ? "PRESENCE_IDLE" : "PRESENCE_ONLINE";
+}
+
+// Recompute one member's presence; a change is pushed to include_presence streams.
+function refreshPresence(roomName, personName) {
+  const entry = presenceEntry(roomName, personName);
+  const state = computePresence(roomName, personName, entry.last_active_ms);
+  if (state !== "PRESENCE_OFFLINE") entry.last_seen_ms = Date.now();
+  if (state === entry.state) return;
+  entry.state = state;
+
+  const subs = roomSubscribers.get(roomName);
+  if (!subs) return;
+  const event = {
+    person_name: personName,
+    text: "",
+    server_seq: 0,
+    presence: { person_name: personName, state, last_active_ms: entry.last_active_ms },
+  };
+  for (const [streamCall, sub] of subs) {
+    if (!sub.include_presence) continue;
+    try {
+      streamCall.write(
+        sub.events
+          ? { room_name: roomName, server_ts_ms: Date.now(), presence: event.presence }
+          : event
+      );
+    } catch (_) {}
+  }
+}
+
+function markActive(roomName, personName) {
+  presenceEntry(roomName, personName).last_active_ms = Date.now();
+  refreshPresence(roomName, personName);
+}
+
+// The owner may always (re)enter their own room.
+function isRoomFull(roomName, personName) {
+  const max = roomMeta.get(roomName)?.max_members || 0;
+  return max > 0 && roomOwners.get(roomName) !== personName && rooms.get(roomName).size >= max;
 }
 
-function ensureRoomExists(roomName) {
-  if (!rooms.has(roomName)) rooms.set(roomName, new Set());
-  return rooms.get(roomName);
+// RenameRoom: move every per-room entry to the new key (the monolith has no room ids).
+function renameRoomKeys(from, to) {
+  const byRoom = [
+    rooms,
+    roomCreatedAt,
+    roomMeta,
+    roomOwners,
+    roomModerators,
+    roomInvites,
+    roomBans,
+    messageHistory,
+    roomSubscribers,
+    roomPresence,
+    messageIds,
+    roomReadState,
+    roomSearch,
+    roomTyping,
+  ];
+  for (const m of byRoom) {
+    m.delete(to);
+    if (!m.has(from)) continue;
+    m.set(to, m.get(from));
+    m.delete(from);
+  }
+  if (privateRooms.delete(from)) privateRooms.add(to);
+  for (const list of userNotifications.values()) {
+    for (const n of list) {
+      if (n.room_name === from) n.room_name = to;
+    }
+  }
+}
+
+// Only CreateRoom makes rooms; every other handler answers NOT_FOUND for unknown names.
+function createRoomEntry(roomName) {
+  rooms.set(roomName, new Set());
+  roomCreatedAt.set(roomName, Date.now());
+  roomMeta.set(roomName, { room_id: ++NEXT_ROOM_ID, topic: "", description: "", max_members: 0 });
 }
 
 // ==========================
@@ -175,15 +552,14 @@ function Login(call, callback) {
     }
 
     const u = await dbFindUser(username);
-    if (!u || u.is_active !== 1 || u.password_plain !== password) {
+    if (!u || u.is_active !== 1 || !(await dbCheckPassword(u, password))) {
       return callback({
         code: grpc.status.UNAUTHENTICATED,
         message: "invalid username/password",
       });
     }
 
-    const credential = makeCredential();
-    await dbCreateSession(u.id, credential, SESSION_TTL_MS);
+    const credential = await dbCreateSession(dbPool, u, SESSION_TTL_MS);
     return callback(null, { credential });
   })().catch((e) => callback(e));
 }
@@ -208,11 +584,12 @@ function AddUser(call, callback) {
       });
     }
 
+    const hash = await hashPassword(password);
     await dbPool.query(
-      `INSERT INTO users (user_name, password_plain, is_active)
-       VALUES (?, ?, 1)
-       ON DUPLICATE KEY UPDATE password_plain=VALUES(password_plain), is_active=1`,
-      [username, password]
+      `INSERT INTO users (user_name, password_hash, password_plain, is_active)
+       VALUES (?, ?, NULL, 1)
+       ON DUPLICATE KEY UPDATE password_hash=VALUES(password_hash), password_plain=NULL, is_active=1`,
+      [username, hash]
     );
 
     return callback(null, { ok: true });
@@ -231,15 +608,40 @@ function RemoveUser(call, callback) {
 
     // Soft-disable for perf stability
     await dbPool.query(`UPDATE users SET is_active=0 WHERE user_name=?`, [username]);
+
+    // Signed tokens skip the is_active join, so their sessions must be revoked.
+    if (TOKEN_MODE === "signed") {
+      await dbRevokeSessions(
+        dbPool,
+        `user_id = (SELECT id FROM users WHERE user_name = ?)`,
+        [username]
+      );
+    }
     return callback(null, { ok: true });
   })().catch((e) => callback(e));
 }
 
+function UserExists(call, callback) {
+  (async () => {
+    const { username } = call.request || {};
+    if (!username) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "username required",
+      });
+    }
+
+    const user = await dbFindUser(username);
+    return callback(null, { exists: !!user && !!user.is_active });
+  })().catch((e) => callback(e));
+}
+
 function WhoIsLoggedIn(call, callback) {
   (async () => {
     const [rows] = await dbPool.query(
       `
-      SELECT u.user_name AS username,
+      SELECT s.id AS session_id,
+             u.user_name AS username,
              s.credential AS credential,
              s.expires_at AS expires_at
       FROM sessions s
@@ -257,11 +659,109 @@ function WhoIsLoggedIn(call, callback) {
         username: r.username,
         credential: r.credential,
         expires_at_iso: new Date(r.expires_at).toISOString(),
+        session_id: Number(r.session_id),
       })),
     });
   })().catch((e) => callback(e));
 }
 
+function Logout(call, callback) {
+  (async () => {
+    const { credential } = call.request || {};
+    if (!credential) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "credential required" });
+    }
+
+    const n = await dbRevokeSessions(dbPool, `credential = ?`, [credential]);
+    return callback(null, { ok: n > 0 });
+  })().catch((e) => callback(e));
+}
+
+function RevokeSession(call, callback) {
+  (async () => {
+    const sessionId = Number(call.request?.session_id || 0);
+    const credential = call.request?.credential || "";
+    if (!sessionId && !credential) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "session_id or credential required",
+      });
+    }
+
+    const n = await dbRevokeSessions(
+      dbPool,
+      sessionId ? `id = ?` : `credential = ?`,
+      [sessionId || credential]
+    );
+    return callback(null, { ok: n > 0 });
+  })().catch((e) => callback(e));
+}
+
+function RefreshCredential(call, callback) {
+  (async () => {
+    const { credential, rotate } = call.request || {};
+    if (!credential) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "credential required" });
+    }
+
+    const ttlSec = Math.floor(SESSION_TTL_MS / 1000);
+    const conn = await dbPool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [rows] = await conn.query(
+        `
+        SELECT s.id, s.user_id, u.user_name
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.credential = ?
+          AND s.revoked_at IS NULL
+          AND s.expires_at > NOW()
+          AND u.is_active = 1
+        LIMIT 1
+        FOR UPDATE
+        `,
+        [credential]
+      );
+
+      if (rows.length === 0) {
+        await conn.rollback();
+        return callback({
+          code: grpc.status.UNAUTHENTICATED,
+          message: "credential expired or revoked",
+        });
+      }
+
+      let next = credential;
+      // A signed token's expiry is baked in, so refreshing one always rotates.
+      if (rotate || TOKEN_MODE === "signed") {
+        await dbRevokeSessions(conn, `id = ?`, [rows[0].id]);
+        next = await dbCreateSession(
+          conn,
+          { id: rows[0].user_id, user_name: rows[0].user_name },
+          SESSION_TTL_MS
+        );
+      } else {
+        await conn.query(
+          `UPDATE sessions SET expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?`,
+          [ttlSec, rows[0].id]
+        );
+      }
+
+      await conn.commit();
+      return callback(null, {
+        credential: next,
+        expires_at_iso: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+      });
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+  })().catch((e) => callback(e));
+}
+
 // =============================
 // GatewayService implementation
 // =============================
@@ -272,7 +772,7 @@ function getCred(req) {
 function CreateRoom(call, callback) {
   (async () => {
     const cred = getCred(call.request);
-    await validateCredentialOrThrowAsync(cred);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
     if (!room_name) {
@@ -283,7 +783,9 @@ function CreateRoom(call, callback) {
       return callback({ code: grpc.status.ALREADY_EXISTS, message: "room already exists" });
     }
 
-    rooms.set(room_name, new Set());
+    createRoomEntry(room_name);
+    roomOwners.set(room_name, username);
+    if (call.request?.is_private) privateRooms.add(room_name);
     return callback(null, { ok: true, message: "OK" });
   })().catch((e) => callback(e));
 }
@@ -291,14 +793,42 @@ function CreateRoom(call, callback) {
 function DeleteRoom(call, callback) {
   (async () => {
     const cred = getCred(call.request);
-    await validateCredentialOrThrowAsync(cred);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
     if (!room_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
+    if (rooms.has(room_name) && !ADMIN_USERS.has(username) && roomOwners.get(room_name) !== username) {
+      return callback({
+        code: grpc.status.PERMISSION_DENIED,
+        message: "only the room owner can delete it",
+      });
+    }
+
     rooms.delete(room_name);
+    roomCreatedAt.delete(room_name);
+    roomMeta.delete(room_name);
+    roomOwners.delete(room_name);
+    roomModerators.delete(room_name);
+    privateRooms.delete(room_name);
+    roomInvites.delete(room_name);
+    roomBans.delete(room_name);
+
+    // History and streams go with the room (chatroom-service does this via an outbox).
+    emitRoomEvent(room_name, { room_deleted: {} });
+    endSubscriptions(room_name, null, { code: grpc.status.NOT_FOUND, message: "room deleted" });
+    roomSubscribers.delete(room_name);
+    messageHistory.delete(room_name);
+    messageIds.delete(room_name);
+    roomPresence.delete(room_name);
+    roomReadState.delete(room_name);
+    roomSearch.delete(room_name);
+    roomTyping.delete(room_name);
+    for (const [user, list] of userNotifications) {
+      userNotifications.set(user, list.filter((n) => n.room_name !== room_name));
+    }
     return callback(null, { ok: true, message: "OK" });
   })().catch((e) => callback(e));
 }
@@ -306,23 +836,39 @@ function DeleteRoom(call, callback) {
 function EnterRoom(call, callback) {
   (async () => {
     const cred = getCred(call.request);
-    await validateCredentialOrThrowAsync(cred);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
-    const person_name = call.request?.person_name;
-    if (!room_name || !person_name) {
-      return callback({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name and person_name required",
-      });
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
+    const person_name = bindPersonNameOrThrow(username, call.request?.person_name);
 
-    const people = ensureRoomExists(room_name);
+    const people = rooms.get(room_name);
+    if (!people) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
     if (people.has(person_name)) {
       return callback({ code: grpc.status.ALREADY_EXISTS, message: "already in room" });
     }
+    if (isBannedFrom(room_name, person_name)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "banned from this room" });
+    }
+
+    const needsInvite =
+      privateRooms.has(room_name) &&
+      !ADMIN_USERS.has(username) &&
+      roomOwners.get(room_name) !== person_name;
+    if (needsInvite && !roomInvites.get(room_name)?.has(person_name)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "room is private; invite required" });
+    }
+    if (isRoomFull(room_name, person_name)) {
+      return callback({ code: grpc.status.RESOURCE_EXHAUSTED, message: "room is full" });
+    }
 
+    if (needsInvite) roomInvites.get(room_name).delete(person_name);
     people.add(person_name);
+    emitRoomEvent(room_name, { member_joined: { person_name } });
     return callback(null, { ok: true, message: "OK" });
   })().catch((e) => callback(e));
 }
@@ -330,19 +876,24 @@ function EnterRoom(call, callback) {
 function LeaveRoom(call, callback) {
   (async () => {
     const cred = getCred(call.request);
-    await validateCredentialOrThrowAsync(cred);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
-    const person_name = call.request?.person_name;
-    if (!room_name || !person_name) {
-      return callback({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name and person_name required",
-      });
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
+    const person_name = bindPersonNameOrThrow(username, call.request?.person_name);
 
-    const people = ensureRoomExists(room_name);
-    people.delete(person_name);
+    const people = rooms.get(room_name);
+    if (!people) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    const removed = people.delete(person_name);
+    roomModerators.get(room_name)?.delete(person_name);
+    roomReadState.get(room_name)?.delete(person_name);
+    if (removed) {
+      emitRoomEvent(room_name, { member_left: { person_name, reason: "LEAVE_REASON_LEFT" } });
+    }
     return callback(null, { ok: true, message: "OK" });
   })().catch((e) => callback(e));
 }
@@ -350,123 +901,1426 @@ function LeaveRoom(call, callback) {
 function GetPeople(call, callback) {
   (async () => {
     const cred = getCred(call.request);
-    await validateCredentialOrThrowAsync(cred);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
     if (!room_name) {
       return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
 
-    const people = ensureRoomExists(room_name);
-    return callback(null, { people: Array.from(people.values()) });
+    // Same visibility as GetRoom: a private room is NOT_FOUND to outsiders.
+    const visible =
+      rooms.has(room_name) &&
+      (!privateRooms.has(room_name) || ADMIN_USERS.has(username) || roomRole(room_name, username));
+    if (!visible) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    const people = Array.from(rooms.get(room_name).values());
+    return callback(null, {
+      people,
+      members: people.map((p) => ({ person_name: p, role: ROLE_ENUM[roomRole(room_name, p)] })),
+    });
   })().catch((e) => callback(e));
 }
 
-// ------------- Subscribe (server streaming) -------------
-function Subscribe(call) {
+// ------------- SetMemberRole (unary) -------------
+function SetMemberRole(call, callback) {
   (async () => {
-    const cred = call.request?.auth?.credential || "";
-    await validateCredentialOrThrowAsync(cred);
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
-    if (!room_name) {
-      call.emit("error", { code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
-      call.end();
-      return;
+    const person_name = call.request?.person_name;
+    const role = call.request?.role;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+    if (role !== "ROOM_ROLE_MEMBER" && role !== "ROOM_ROLE_MODERATOR") {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "role must be member or moderator" });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
     }
 
-    ensureMessagingRoom(room_name);
+    const current = roomRole(room_name, person_name);
+    if (!current) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "person not in room" });
+    }
+    if (current === "owner") {
+      return callback({ code: grpc.status.FAILED_PRECONDITION, message: "cannot change the owner's role" });
+    }
 
-    const subs = roomSubscribers.get(room_name);
-    subs.add(call);
+    if (!ADMIN_USERS.has(username)) {
+      const callerRole = roomRole(room_name, username);
+      const allowed =
+        callerRole === "owner" ||
+        (callerRole === "moderator" && current === "member" && role === "ROOM_ROLE_MODERATOR");
+      if (!allowed) {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
 
-    const cleanup = () => subs.delete(call);
-    call.on("cancelled", cleanup);
-    call.on("error", cleanup);
-    call.on("close", cleanup);
-    call.on("end", cleanup);
-  })().catch((e) => {
-    call.emit("error", e);
-    call.end();
-  });
+    if (!roomModerators.has(room_name)) roomModerators.set(room_name, new Set());
+    if (role === "ROOM_ROLE_MODERATOR") roomModerators.get(room_name).add(person_name);
+    else roomModerators.get(room_name).delete(person_name);
+
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
 }
 
-// ------------- SendMessage (unary) -------------
-function SendMessage(call, callback) {
+// ------------- GetPresence (unary) -------------
+function GetPresence(call, callback) {
   (async () => {
-    const cred = call.request?.auth?.credential || "";
-    await validateCredentialOrThrowAsync(cred);
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
-    const person_name = call.request?.person_name;
-    const text = call.request?.text;
-
-    if (!room_name || !person_name || !text) {
-      return callback({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: "room_name, person_name, text are required",
-      });
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
     }
+    requireMembershipOrThrow(room_name, username);
+
+    const members = Array.from(rooms.get(room_name)).map((person_name) => {
+      const entry = roomPresence.get(room_name)?.get(person_name);
+      const last_active_ms = entry?.last_active_ms || 0;
+      const state = computePresence(room_name, person_name, last_active_ms);
+      return {
+        person_name,
+        state,
+        last_seen_ms: state === "PRESENCE_OFFLINE" ? entry?.last_seen_ms || 0 : Date.now(),
+        last_active_ms,
+      };
+    });
+    return callback(null, { members });
+  })().catch((e) => callback(e));
+}
 
-    ensureMessagingRoom(room_name);
-
-    const msg = {
-      server_seq: ++GLOBAL_SEQ,
-      person_name,
-      text,
-      ts_ms: Date.now(),
-    };
+// ------------- ListRooms (unary) -------------
+// Keyset paging on (sort key, room_name); same request semantics as chatroom-service.
+function ListRooms(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+    const seeAll = ADMIN_USERS.has(username);
 
-    messageHistory.get(room_name).push(msg);
+    const prefix = call.request?.name_prefix || "";
+    const size = Math.max(1, Math.min(100, Number(call.request?.page_size || 20)));
+    const byMembers = call.request?.sort_by === "ROOM_SORT_MEMBER_COUNT";
+    const sign = call.request?.descending ? -1 : 1;
 
-    const subs = roomSubscribers.get(room_name);
-    for (const streamCall of subs) {
+    let after = null;
+    if (call.request?.page_token) {
       try {
-        streamCall.write({
-          person_name: msg.person_name,
-          text: msg.text,
-          server_seq: msg.server_seq,
-        });
+        after = JSON.parse(Buffer.from(call.request.page_token, "base64url").toString("utf8"));
       } catch (_) {}
+      if (!after || !Number.isFinite(after.k) || typeof after.name !== "string") {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "invalid page_token" });
+      }
     }
 
-    return callback(null, { ok: true, message: "OK" });
+    const compare = (a, b) =>
+      sign * (a.k - b.k || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const all = [];
+    for (const [name, people] of rooms) {
+      if (!name.startsWith(prefix)) continue;
+      if (privateRooms.has(name) && !seeAll && !roomRole(name, username)) continue;
+      const created = roomCreatedAt.get(name) || 0;
+      const entry = {
+        name,
+        k: byMembers ? people.size : created,
+        member_count: people.size,
+        created,
+      };
+      if (after && compare(entry, after) <= 0) continue;
+      all.push(entry);
+    }
+    all.sort(compare);
+
+    const page = all.slice(0, size);
+    let next_page_token = "";
+    if (all.length > size) {
+      const last = page[page.length - 1];
+      next_page_token = Buffer.from(JSON.stringify({ k: last.k, name: last.name }), "utf8")
+        .toString("base64url");
+    }
+
+    return callback(null, {
+      rooms: page.map((r) => ({
+        room_name: r.name,
+        member_count: r.member_count,
+        created_at_iso: new Date(r.created).toISOString(),
+        is_private: privateRooms.has(r.name),
+      })),
+      next_page_token,
+    });
   })().catch((e) => callback(e));
 }
 
-// ------------- GetHistory (unary) -------------
-function GetHistory(call, callback) {
+// ------------- Invites (unary) -------------
+function InviteToRoom(call, callback) {
   (async () => {
-    const cred = call.request?.auth?.credential || "";
-    await validateCredentialOrThrowAsync(cred);
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
 
     const room_name = call.request?.room_name;
-    const limit = call.request?.limit ?? 5;
-
-    if (!room_name) {
-      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    const person_name = call.request?.person_name;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!ADMIN_USERS.has(username)) {
+      const callerRole = roomRole(room_name, username);
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+    if (roomRole(room_name, person_name)) {
+      return callback({ code: grpc.status.ALREADY_EXISTS, message: "person already in room" });
     }
 
-    ensureMessagingRoom(room_name);
+    if (!roomInvites.has(room_name)) roomInvites.set(room_name, new Map());
+    roomInvites.get(room_name).set(person_name, { invited_by: username, created_at: Date.now() });
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
+}
 
-    const arr = messageHistory.get(room_name);
-    const last = arr.slice(Math.max(0, arr.length - limit));
+function ListInvites(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const invites = [];
+    for (const [room_name, byPerson] of roomInvites) {
+      const inv = byPerson.get(username);
+      if (!inv) continue;
+      invites.push({
+        room_name,
+        invited_by: inv.invited_by,
+        created_at: inv.created_at,
+      });
+    }
+    invites.sort((a, b) => b.created_at - a.created_at);
 
     return callback(null, {
-      messages: last.map((m) => ({
-        person_name: m.person_name,
-        text: m.text,
-        server_seq: m.server_seq,
+      invites: invites.map((i) => ({
+        room_name: i.room_name,
+        invited_by: i.invited_by,
+        created_at_iso: new Date(i.created_at).toISOString(),
       })),
     });
   })().catch((e) => callback(e));
 }
 
-// ==========================
-// Boot both servers (2 ports)
-// ==========================
-function startServer(port, addServicesFn, name) {
-  const server = new grpc.Server();
+function AcceptInvite(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (isBannedFrom(room_name, username)) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "banned from this room" });
+    }
+    if (!roomInvites.get(room_name)?.has(username)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "no pending invite" });
+    }
+    if (isRoomFull(room_name, username)) {
+      return callback({ code: grpc.status.RESOURCE_EXHAUSTED, message: "room is full" });
+    }
+
+    roomInvites.get(room_name).delete(username);
+    rooms.get(room_name).add(username);
+    emitRoomEvent(room_name, { member_joined: { person_name: username } });
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Kick / ban (unary) -------------
+// Same rules as chatroom-service: owner/moderator or admin; the owner is
+// untouchable and moderators cannot act on each other.
+function moderationErrorOrNull(roomName, username, personName) {
+  const targetRole = roomRole(roomName, personName);
+  if (targetRole === "owner") {
+    return { code: grpc.status.FAILED_PRECONDITION, message: "cannot kick or ban the room owner" };
+  }
+  if (ADMIN_USERS.has(username)) return null;
+  const callerRole = roomRole(roomName, username);
+  if (callerRole === "owner" || (callerRole === "moderator" && targetRole !== "moderator")) {
+    return null;
+  }
+  return { code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" };
+}
+
+function removeFromRoom(roomName, personName) {
+  const removed = rooms.get(roomName).delete(personName);
+  roomModerators.get(roomName)?.delete(personName);
+  roomReadState.get(roomName)?.delete(personName);
+  return removed;
+}
+
+function KickMember(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const person_name = call.request?.person_name;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    const denied = moderationErrorOrNull(room_name, username, person_name);
+    if (denied) return callback(denied);
+
+    if (!removeFromRoom(room_name, person_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "person not in room" });
+    }
+    endSubscriptions(room_name, person_name, {
+      code: grpc.status.PERMISSION_DENIED,
+      message: "removed from this room",
+    });
+    emitRoomEvent(room_name, { member_left: { person_name, reason: "LEAVE_REASON_KICKED" } });
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
+}
+
+function BanMember(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const person_name = call.request?.person_name;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+    const duration = Number(call.request?.duration_ms || 0);
+    if (!Number.isFinite(duration) || duration < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "duration_ms must be >= 0" });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    const denied = moderationErrorOrNull(room_name, username, person_name);
+    if (denied) return callback(denied);
+
+    const expires_at_ms = duration > 0 ? Date.now() + duration : 0;
+    if (!roomBans.has(room_name)) roomBans.set(room_name, new Map());
+    roomBans.get(room_name).set(person_name, expires_at_ms);
+
+    const wasMember = removeFromRoom(room_name, person_name);
+    endSubscriptions(room_name, person_name, {
+      code: grpc.status.PERMISSION_DENIED,
+      message: "banned from this room",
+    });
+    if (wasMember) {
+      emitRoomEvent(room_name, { member_left: { person_name, reason: "LEAVE_REASON_BANNED" } });
+    }
+    return callback(null, { ok: true, message: "OK", expires_at_ms });
+  })().catch((e) => callback(e));
+}
+
+function UnbanMember(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const person_name = call.request?.person_name;
+    if (!room_name || !person_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and person_name required",
+      });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!ADMIN_USERS.has(username)) {
+      const callerRole = roomRole(room_name, username);
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+
+    const wasBanned = isBannedFrom(room_name, person_name);
+    roomBans.get(room_name)?.delete(person_name);
+    return callback(null, { ok: wasBanned, message: wasBanned ? "OK" : "FAIL" });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Room metadata (unary) -------------
+const TOPIC_MAX = 200;
+const DESCRIPTION_MAX = 2000;
+
+function toRoomInfo(roomName) {
+  const meta = roomMeta.get(roomName);
+  return {
+    room_id: meta.room_id,
+    room_name: roomName,
+    owner_name: roomOwners.get(roomName) || "",
+    is_private: privateRooms.has(roomName),
+    topic: meta.topic,
+    description: meta.description,
+    max_members: meta.max_members,
+    member_count: rooms.get(roomName).size,
+    created_at_iso: new Date(roomCreatedAt.get(roomName) || 0).toISOString(),
+  };
+}
+
+function GetRoom(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+
+    const visible =
+      rooms.has(room_name) &&
+      (!privateRooms.has(room_name) || ADMIN_USERS.has(username) || roomRole(room_name, username));
+    if (!visible) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+
+    return callback(null, { room: toRoomInfo(room_name) });
+  })().catch((e) => callback(e));
+}
+
+function UpdateRoom(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const { topic, description, max_members } = call.request || {};
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    if (topic !== undefined && topic.length > TOPIC_MAX) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: `topic longer than ${TOPIC_MAX}` });
+    }
+    if (description !== undefined && description.length > DESCRIPTION_MAX) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: `description longer than ${DESCRIPTION_MAX}`,
+      });
+    }
+    if (max_members !== undefined && max_members < 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "max_members must be >= 0" });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!ADMIN_USERS.has(username)) {
+      const callerRole = roomRole(room_name, username);
+      if (callerRole !== "owner" && callerRole !== "moderator") {
+        return callback({ code: grpc.status.PERMISSION_DENIED, message: "insufficient room role" });
+      }
+    }
+
+    const meta = roomMeta.get(room_name);
+    if (topic !== undefined) meta.topic = topic;
+    if (description !== undefined) meta.description = description;
+    if (max_members !== undefined) meta.max_members = max_members;
+
+    return callback(null, { room: toRoomInfo(room_name) });
+  })().catch((e) => callback(e));
+}
+
+function RenameRoom(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const new_room_name = call.request?.new_room_name;
+    if (!room_name || !new_room_name) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name and new_room_name required",
+      });
+    }
+    if (!rooms.has(room_name)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "room not found" });
+    }
+    if (!ADMIN_USERS.has(username) && roomOwners.get(room_name) !== username) {
+      return callback({ code: grpc.status.PERMISSION_DENIED, message: "only the room owner can rename it" });
+    }
+    if (rooms.has(new_room_name)) {
+      return callback({ code: grpc.status.ALREADY_EXISTS, message: "room name already exists" });
+    }
+
+    renameRoomKeys(room_name, new_room_name);
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Subscribe / SubscribeEvents (server streaming) -------------
+function Subscribe(call) {
+  subscribeImpl(call, false);
+}
+
+function SubscribeEvents(call) {
+  subscribeImpl(call, true);
+}
+
+function subscribeImpl(call, events) {
+  (async () => {
+    const cred = call.request?.auth?.credential || "";
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    if (!room_name) {
+      call.emit("error", { code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+      call.end();
+      return;
+    }
+    const person_name = bindPersonNameOrThrow(username, call.request?.person_name);
+    requireMembershipOrThrow(room_name, person_name);
+
+    ensureMessagingRoom(room_name);
+
+    // Replay + register happen in the same tick, so nothing is missed or doubled.
+    const sinceSeq = Number(call.request?.since_server_seq || 0);
+    if (sinceSeq > 0) {
+      for (const m of historyAfter(messageHistory.get(room_name), sinceSeq)) {
+        call.write(events ? toRoomEvent(room_name, m) : toStreamMessage(m));
+      }
+    }
+
+    const subs = roomSubscribers.get(room_name);
+    subs.set(call, {
+      person_name,
+      include_presence: !!call.request?.include_presence,
+      include_typing: !events && !!call.request?.include_typing,
+      include_updates: !events && !!call.request?.include_updates,
+      events,
+    });
+    markActive(room_name, person_name);
+
+    const cleanup = () => {
+      subs.delete(call);
+      if (roomSubscribers.get(room_name) !== subs) return; // room deleted/renamed meanwhile
+      presenceEntry(room_name, person_name).last_seen_ms = Date.now();
+      refreshPresence(room_name, person_name);
+    };
+    call.on("cancelled", cleanup);
+    call.on("error", cleanup);
+    call.on("close", cleanup);
+    call.on("end", cleanup);
+  })().catch((e) => {
+    call.emit("error", e);
+    call.end();
+  });
+}
+
+// ------------- SendMessage (unary) -------------
+function SendMessage(call, callback) {
+  (async () => {
+    const cred = call.request?.auth?.credential || "";
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const text = call.request?.text;
+
+    if (!room_name || !text) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name, text are required",
+      });
+    }
+    const person_name = bindPersonNameOrThrow(username, call.request?.person_name);
+    requireMembershipOrThrow(room_name, person_name);
+
+    ensureMessagingRoom(room_name);
+
+    // Replies to a reply join the parent's thread (threads are one level deep).
+    let root = null;
+    const reply_to_seq = Number(call.request?.reply_to_seq || 0);
+    if (reply_to_seq > 0) {
+      const parent = findMessage(room_name, reply_to_seq);
+      if (!parent) {
+        return callback({ code: grpc.status.NOT_FOUND, message: "reply_to_seq not found in this room" });
+      }
+      root = parent.thread_root_seq ? findMessage(room_name, parent.thread_root_seq) : parent;
+    }
+
+    const msg_id = call.request?.msg_id || "";
+    const seen = msg_id ? messageIds.get(room_name).get(msg_id) : null;
+    if (seen) {
+      return callback(null, {
+        ok: true,
+        message: "DUPLICATE",
+        server_seq: seen.server_seq,
+        server_ts_ms: seen.ts_ms,
+      });
+    }
+
+    const msg = {
+      server_seq: ++GLOBAL_SEQ,
+      person_name,
+      text,
+      ts_ms: Date.now(),
+      msg_id,
+      edited_at_ms: 0,
+      deleted_at_ms: 0,
+      edits: [],
+      reply_to_seq: root ? reply_to_seq : 0,
+      thread_root_seq: root ? root.server_seq : 0,
+      replies: [],
+      reactions: new Map(),
+    };
+
+    messageHistory.get(room_name).push(msg);
+    roomSearchIndex(room_name).add(msg);
+    if (root) root.replies.push(msg);
+    if (msg_id) messageIds.get(room_name).set(msg_id, msg);
+
+    const subs = roomSubscribers.get(room_name);
+    for (const [streamCall, sub] of subs) {
+      try {
+        streamCall.write(sub.events ? toRoomEvent(room_name, msg) : toStreamMessage(msg));
+      } catch (_) {}
+    }
+    markActive(room_name, person_name);
+    stopTyping(room_name, person_name);
+    storeMentions(room_name, msg);
+
+    return callback(null, {
+      ok: true,
+      message: "OK",
+      server_seq: msg.server_seq,
+      server_ts_ms: msg.ts_ms,
+    });
+  })().catch((e) => callback(e));
+}
+
+// ------------- EditMessage / DeleteMessage (unary) -------------
+// Author, room owner/moderator or admin. The message keeps its server_seq;
+// deletes leave a tombstone with empty text and every change is kept in `edits`.
+function findMessage(roomName, serverSeq) {
+  const arr = messageHistory.get(roomName) || [];
+  const msg = arr[indexAfterSeq(arr, serverSeq - 1)];
+  return msg && msg.server_seq === serverSeq ? msg : null;
+}
+
+function messageChangeErrorOrNull(roomName, username, msg) {
+  if (!msg) return { code: grpc.status.NOT_FOUND, message: "message not found" };
+  if (msg.deleted_at_ms) {
+    return { code: grpc.status.FAILED_PRECONDITION, message: "message already deleted" };
+  }
+  if (msg.person_name === username || ADMIN_USERS.has(username)) return null;
+  const role = roomRole(roomName, username);
+  if (role === "owner" || role === "moderator") return null;
+  return { code: grpc.status.PERMISSION_DENIED, message: "only the author or a room moderator" };
+}
+
+// Plain Subscribe streams get the updated message again under the same server_seq.
+function broadcastMessageChange(roomName, msg, evt) {
+  const subs = roomSubscribers.get(roomName);
+  if (!subs) return;
+  const event = { room_name: roomName, server_ts_ms: Date.now(), ...evt };
+  const legacy = { ...toStreamMessage(msg), room_name: roomName, server_ts_ms: msg.ts_ms };
+  for (const [streamCall, sub] of subs) {
+    // plain Subscribe already has this server_seq; re-send only on request
+    if (!sub.events && !sub.include_updates) continue;
+    try {
+      streamCall.write(sub.events ? event : legacy);
+    } catch (_) {}
+  }
+}
+
+function EditMessage(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const server_seq = Number(call.request?.server_seq || 0);
+    const text = call.request?.text;
+    if (!room_name || server_seq <= 0 || !text) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name, server_seq, text required",
+      });
+    }
+    if (!ADMIN_USERS.has(username)) requireMembershipOrThrow(room_name, username);
+
+    const msg = findMessage(room_name, server_seq);
+    const denied = messageChangeErrorOrNull(room_name, username, msg);
+    if (denied) return callback(denied);
+
+    const edited_at_ms = Date.now();
+    msg.edits.push({
+      kind: "edit",
+      editor_name: username,
+      old_text: msg.text,
+      new_text: text,
+      edited_at_ms,
+    });
+    const index = roomSearchIndex(room_name);
+    index.remove(msg);
+    msg.text = text;
+    msg.edited_at_ms = edited_at_ms;
+    index.add(msg);
+
+    broadcastMessageChange(room_name, msg, {
+      message_edited: { server_seq, text, edited_by: username, edited_at_ms },
+    });
+    return callback(null, { ok: true, message: "OK", edited_at_ms });
+  })().catch((e) => callback(e));
+}
+
+function DeleteMessage(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const server_seq = Number(call.request?.server_seq || 0);
+    if (!room_name || server_seq <= 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name, server_seq required" });
+    }
+    if (!ADMIN_USERS.has(username)) requireMembershipOrThrow(room_name, username);
+
+    const msg = findMessage(room_name, server_seq);
+    const denied = messageChangeErrorOrNull(room_name, username, msg);
+    if (denied) return callback(denied);
+
+    const deleted_at_ms = Date.now();
+    msg.edits.push({
+      kind: "delete",
+      editor_name: username,
+      old_text: msg.text,
+      new_text: "",
+      edited_at_ms: deleted_at_ms,
+    });
+    roomSearchIndex(room_name).remove(msg);
+    msg.text = "";
+    msg.deleted_at_ms = deleted_at_ms;
+
+    broadcastMessageChange(room_name, msg, {
+      message_deleted: { server_seq, deleted_by: username },
+    });
+    return callback(null, { ok: true, message: "OK" });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Reactions / threads (unary) -------------
+function changeReaction(call, callback, added) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const server_seq = Number(call.request?.server_seq || 0);
+    const emoji = (call.request?.emoji || "").trim();
+    if (!room_name || server_seq <= 0 || !emoji) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "room_name, server_seq, emoji required",
+      });
+    }
+    if (emoji.length > MAX_EMOJI_LENGTH) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "emoji too long" });
+    }
+    requireMembershipOrThrow(room_name, username);
+
+    const msg = findMessage(room_name, server_seq);
+    if (!msg || msg.deleted_at_ms) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "message not found" });
+    }
+
+    let changed;
+    if (added) {
+      if (!msg.reactions.has(emoji)) msg.reactions.set(emoji, new Set());
+      const people = msg.reactions.get(emoji);
+      changed = !people.has(username);
+      people.add(username);
+    } else {
+      const people = msg.reactions.get(emoji);
+      changed = !!people && people.delete(username);
+      if (people && people.size === 0) msg.reactions.delete(emoji);
+    }
+
+    const reactions = reactionCounts(msg);
+    if (changed) {
+      broadcastMessageChange(room_name, msg, {
+        reaction_changed: { server_seq, person_name: username, emoji, added, reactions },
+      });
+    }
+    return callback(null, { ok: true, message: "OK", reactions });
+  })().catch((e) => callback(e));
+}
+
+function AddReaction(call, callback) {
+  changeReaction(call, callback, true);
+}
+
+function RemoveReaction(call, callback) {
+  changeReaction(call, callback, false);
+}
+
+function GetThread(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const server_seq = Number(call.request?.server_seq || 0);
+    const limit = Math.max(1, Math.min(200, Number(call.request?.limit || 50)));
+    const after = Number(call.request?.after_server_seq || 0);
+    if (!room_name || server_seq <= 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name, server_seq required" });
+    }
+    requireMembershipOrThrow(room_name, username);
+
+    let root = findMessage(room_name, server_seq);
+    if (root && root.thread_root_seq) root = findMessage(room_name, root.thread_root_seq);
+    if (!root) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "message not found" });
+    }
+
+    const lo = indexAfterSeq(root.replies, after);
+    const page = root.replies.slice(lo, lo + limit);
+    return callback(null, {
+      parent: toStreamMessage(root),
+      replies: page.map(toStreamMessage),
+      next_cursor: page.length ? page[page.length - 1].server_seq : 0,
+      has_more: lo + limit < root.replies.length,
+    });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Read state (unary) -------------
+// Returns true if the marker moved forward.
+function advanceReadMarker(roomName, personName, seq) {
+  if (!roomReadState.has(roomName)) roomReadState.set(roomName, new Map());
+  const markers = roomReadState.get(roomName);
+  if ((markers.get(personName) || 0) >= seq) return false;
+  markers.set(personName, seq);
+  return true;
+}
+
+function MarkRead(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    requireMembershipOrThrow(room_name, username);
+
+    const arr = messageHistory.get(room_name) || [];
+    const newest = arr.length ? arr[arr.length - 1].server_seq : 0;
+    const requested = Number(call.request?.server_seq || 0);
+    const target = requested > 0 ? Math.min(requested, newest) : newest;
+
+    if (advanceReadMarker(room_name, username, target)) {
+      emitRoomEvent(room_name, {
+        read_receipt: { person_name: username, last_read_seq: target },
+      });
+    }
+    return callback(null, {
+      ok: true,
+      message: "OK",
+      last_read_seq: roomReadState.get(room_name).get(username) || 0,
+    });
+  })().catch((e) => callback(e));
+}
+
+// ------------- SetTyping (unary) -------------
+// SubscribeEvents always gets RoomEvent.typing; plain Subscribe only with include_typing.
+function pushTyping(roomName, update) {
+  const subs = roomSubscribers.get(roomName);
+  if (!subs) return;
+  const server_ts_ms = Date.now();
+  for (const [streamCall, sub] of subs) {
+    if (!sub.events && !sub.include_typing) continue;
+    try {
+      streamCall.write(
+        sub.events
+          ? { room_name: roomName, server_ts_ms, typing: update }
+          : { person_name: update.person_name, text: "", server_seq: 0, typing: update }
+      );
+    } catch (_) {}
+  }
+}
+
+function stopTyping(roomName, personName) {
+  const people = roomTyping.get(roomName);
+  if (!people?.delete(personName)) return;
+  if (people.size === 0) roomTyping.delete(roomName);
+  pushTyping(roomName, { person_name: personName, is_typing: false, expires_at_ms: 0 });
+}
+
+function allowTypingUpdate(personName, now) {
+  let w = typingWindows.get(personName);
+  if (!w || now - w.start >= TYPING_WINDOW_MS) {
+    w = { start: now, count: 0 };
+    typingWindows.set(personName, w);
+  }
+  if (w.count >= TYPING_MAX_PER_WINDOW) return false;
+  w.count++;
+  return true;
+}
+
+function SetTyping(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    requireMembershipOrThrow(room_name, username);
+
+    const now = Date.now();
+    const isTyping = !!call.request?.is_typing;
+    const current = roomTyping.get(room_name)?.get(username);
+
+    // Refreshes inside TYPING_REFRESH_MS and stops for someone not typing are free.
+    if (isTyping && current && now - current.refreshed_at_ms < TYPING_REFRESH_MS) {
+      return callback(null, { ok: true, message: "OK", expires_at_ms: current.expires_at_ms });
+    }
+    if (!isTyping && !current) {
+      return callback(null, { ok: true, message: "OK", expires_at_ms: 0 });
+    }
+    if (!allowTypingUpdate(username, now)) {
+      return callback({
+        code: grpc.status.RESOURCE_EXHAUSTED,
+        message: "typing updates rate-limited; retry shortly",
+      });
+    }
+
+    if (!isTyping) {
+      stopTyping(room_name, username);
+      return callback(null, { ok: true, message: "OK", expires_at_ms: 0 });
+    }
+
+    const expires_at_ms = now + TYPING_TTL_MS;
+    if (!roomTyping.has(room_name)) roomTyping.set(room_name, new Map());
+    roomTyping.get(room_name).set(username, { expires_at_ms, refreshed_at_ms: now });
+    if (!current) pushTyping(room_name, { person_name: username, is_typing: true, expires_at_ms });
+    return callback(null, { ok: true, message: "OK", expires_at_ms });
+  })().catch((e) => callback(e));
+}
+
+function ListMyRooms(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const result = [];
+    for (const [room_name, people] of rooms) {
+      if (!people.has(username)) continue;
+      const arr = messageHistory.get(room_name) || [];
+      const last_read_seq = roomReadState.get(room_name)?.get(username) || 0;
+      // own messages never count as unread (same as chatroom-service)
+      let unread = 0;
+      for (let i = indexAfterSeq(arr, last_read_seq); i < arr.length; i++) {
+        if (arr[i].person_name === username) continue;
+        if (++unread >= UNREAD_COUNT_CAP) break;
+      }
+      result.push({
+        room_name,
+        role: ROLE_ENUM[roomRole(room_name, username)],
+        last_read_seq,
+        last_server_seq: arr.length ? arr[arr.length - 1].server_seq : 0,
+        unread_count: Math.min(unread, UNREAD_COUNT_CAP),
+        unread_capped: unread >= UNREAD_COUNT_CAP,
+      });
+    }
+    result.sort((a, b) => b.last_server_seq - a.last_server_seq);
+    return callback(null, { rooms: result });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Notifications -------------
+function parseMentions(text) {
+  const names = new Set();
+  for (const m of text.matchAll(MENTION_RE)) {
+    const name = m[1].replace(/[.-]+$/, "");
+    if (name) names.add(name);
+  }
+  return Array.from(names).slice(0, MAX_MENTIONS);
+}
+
+// One notification per mentioned room member other than the sender.
+function storeMentions(roomName, msg) {
+  const people = rooms.get(roomName);
+  const preview = Array.from(msg.text).slice(0, NOTIFICATION_PREVIEW_CHARS).join("");
+  for (const name of parseMentions(msg.text)) {
+    if (name === msg.person_name || !people?.has(name)) continue;
+    const n = {
+      notification_id: ++NEXT_NOTIFICATION_ID,
+      kind: "NOTIFICATION_MENTION",
+      room_name: roomName,
+      server_seq: msg.server_seq,
+      sender_name: msg.person_name,
+      text: preview,
+      created_at_ms: msg.ts_ms,
+      acked: false,
+    };
+    if (!userNotifications.has(name)) userNotifications.set(name, []);
+    userNotifications.get(name).push(n);
+    for (const streamCall of notificationSubscribers.get(name) || []) {
+      try {
+        streamCall.write(n);
+      } catch (_) {}
+    }
+  }
+}
+
+function ListNotifications(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const limit = Math.max(1, Math.min(100, Number(call.request?.limit || 20)));
+    const before = Number(call.request?.before_notification_id || 0);
+    const unackedOnly = !!call.request?.unacked_only;
+
+    const list = userNotifications.get(username) || [];
+    const page = [];
+    let has_more = false;
+    for (let i = list.length - 1; i >= 0; i--) {
+      const n = list[i];
+      if (before > 0 && n.notification_id >= before) continue;
+      if (unackedOnly && n.acked) continue;
+      if (page.length === limit) {
+        has_more = true;
+        break;
+      }
+      page.push(n);
+    }
+
+    return callback(null, {
+      notifications: page,
+      next_cursor: page.length ? page[page.length - 1].notification_id : 0,
+      has_more,
+    });
+  })().catch((e) => callback(e));
+}
+
+function AckNotification(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const id = Number(call.request?.notification_id || 0);
+    const list = userNotifications.get(username) || [];
+    if (id > 0 && !list.some((n) => n.notification_id === id)) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "notification not found" });
+    }
+
+    let acked_count = 0;
+    for (const n of list) {
+      if (n.acked || (id > 0 && n.notification_id !== id)) continue;
+      n.acked = true;
+      acked_count++;
+    }
+    return callback(null, { ok: true, message: "OK", acked_count });
+  })().catch((e) => callback(e));
+}
+
+function SubscribeNotifications(call) {
+  (async () => {
+    const cred = call.request?.auth?.credential || "";
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    // Replay + register in the same tick, as in Subscribe.
+    const sinceId = Number(call.request?.since_notification_id || 0);
+    if (sinceId > 0) {
+      for (const n of userNotifications.get(username) || []) {
+        if (n.notification_id > sinceId) call.write(n);
+      }
+    }
+
+    if (!notificationSubscribers.has(username)) notificationSubscribers.set(username, new Set());
+    const subs = notificationSubscribers.get(username);
+    subs.add(call);
+
+    const cleanup = () => {
+      subs.delete(call);
+      if (subs.size === 0 && notificationSubscribers.get(username) === subs) {
+        notificationSubscribers.delete(username);
+      }
+    };
+    call.on("cancelled", cleanup);
+    call.on("error", cleanup);
+    call.on("close", cleanup);
+    call.on("end", cleanup);
+  })().catch((e) => {
+    call.emit("error", e);
+    call.end();
+  });
+}
+
+// ------------- SearchMessages (unary) -------------
+// Same rules as chat-service; only rooms the caller is currently in are searched.
+function SearchMessages(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const query = call.request?.query;
+    const room_name = call.request?.room_name || "";
+    const author = call.request?.author || "";
+    const from = Number(call.request?.from_ts_ms || 0);
+    const to = Number(call.request?.to_ts_ms || 0);
+    const before = Number(call.request?.before_server_seq || 0);
+    const limit = Math.max(1, Math.min(100, Number(call.request?.limit || 20)));
+    if (!query) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "query required" });
+    }
+    const { terms, required } = parseQuery(query);
+    if (!required.length) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: `query needs a word of at least ${MIN_TERM_LENGTH} characters`,
+      });
+    }
+    if (room_name) requireMembershipOrThrow(room_name, username);
+
+    const found = [];
+    for (const [name, people] of rooms) {
+      if (room_name && name !== room_name) continue;
+      if (!people.has(username)) continue;
+      for (const m of roomSearch.get(name)?.search(required) || []) {
+        if (author && m.person_name !== author) continue;
+        if (from > 0 && m.ts_ms < from) continue;
+        if (to > 0 && m.ts_ms >= to) continue;
+        if (before > 0 && m.server_seq >= before) continue;
+        found.push({ room_name: name, m });
+      }
+    }
+    found.sort((a, b) => b.m.server_seq - a.m.server_seq);
+
+    const page = found.slice(0, limit);
+    const hits = page.map(({ room_name: name, m }) => ({
+      message: { ...toStreamMessage(m), room_name: name, server_ts_ms: m.ts_ms },
+      highlights: highlight(m.text, terms),
+    }));
+    return callback(null, {
+      hits,
+      next_cursor: page.length ? page[page.length - 1].m.server_seq : 0,
+      has_more: found.length > limit,
+    });
+  })().catch((e) => callback(e));
+}
+
+// ------------- GetHistory (unary) -------------
+function GetHistory(call, callback) {
+  (async () => {
+    const cred = call.request?.auth?.credential || "";
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const room_name = call.request?.room_name;
+    const limit = Math.max(1, Math.min(200, Number(call.request?.limit || 5)));
+    const before = Number(call.request?.before_server_seq || 0);
+    const after = Number(call.request?.after_server_seq || 0);
+
+    if (!room_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "room_name required" });
+    }
+    requireMembershipOrThrow(room_name, username);
+
+    ensureMessagingRoom(room_name);
+
+    // Same cursor semantics as chat-service: after = page forward, else page back.
+    const arr = messageHistory.get(room_name);
+    const lo = after > 0 ? indexAfterSeq(arr, after) : 0;
+    const hi = before > 0 ? indexAfterSeq(arr, before - 1) : arr.length;
+
+    let page;
+    let has_more;
+    if (after > 0) {
+      page = arr.slice(lo, Math.min(hi, lo + limit));
+      has_more = lo + limit < hi;
+    } else {
+      page = arr.slice(Math.max(lo, hi - limit), hi);
+      has_more = hi - limit > lo;
+    }
+
+    let next_cursor = 0;
+    if (page.length) {
+      next_cursor = after > 0 ? page[page.length - 1].server_seq : page[0].server_seq;
+    }
+
+    return callback(null, {
+      messages: page.map(toStreamMessage),
+      next_cursor,
+      has_more,
+    });
+  })().catch((e) => callback(e));
+}
+
+// ------------- Direct messages -------------
+// Always as the authenticated user; anyone but the two participants gets NOT_FOUND.
+function toConversation(conv, username) {
+  const last = conv.messages[conv.messages.length - 1];
+  return {
+    conversation_id: conv.id,
+    peer_name: conv.user_a === username ? conv.user_b : conv.user_a,
+    created_at_ms: conv.created_at_ms,
+    last_server_seq: last ? last.server_seq : 0,
+    last_message_ts_ms: last ? last.ts_ms : 0,
+  };
+}
+
+function toDirectMessage(conv, m) {
+  return {
+    conversation_id: conv.id,
+    sender_name: m.sender_name,
+    recipient_name: m.sender_name === conv.user_a ? conv.user_b : conv.user_a,
+    text: m.text,
+    server_seq: m.server_seq,
+    client_ts_ms: m.client_ts_ms,
+    server_ts_ms: m.ts_ms,
+    msg_id: m.msg_id,
+  };
+}
+
+function getConversationOrThrow(conversationId, username) {
+  const conv = directConversations.get(Number(conversationId));
+  if (!conv || (conv.user_a !== username && conv.user_b !== username)) {
+    const err = new Error("conversation not found");
+    err.code = grpc.status.NOT_FOUND;
+    throw err;
+  }
+  return conv;
+}
+
+function OpenDirectConversation(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const peer_name = call.request?.peer_name;
+    if (!peer_name) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "peer_name required" });
+    }
+    if (peer_name === username) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "cannot open a conversation with yourself",
+      });
+    }
+    const peer = await dbFindUser(peer_name);
+    if (!peer || !peer.is_active) {
+      return callback({ code: grpc.status.NOT_FOUND, message: "user not found" });
+    }
+
+    const [user_a, user_b] = [username, peer_name].sort();
+    const key = `${user_a}\n${user_b}`;
+    if (!directPairs.has(key)) {
+      const conv = {
+        id: ++NEXT_CONVERSATION_ID,
+        user_a,
+        user_b,
+        created_at_ms: Date.now(),
+        messages: [],
+        msgIds: new Map(),
+      };
+      directConversations.set(conv.id, conv);
+      directPairs.set(key, conv.id);
+      for (const u of [user_a, user_b]) {
+        if (!userConversations.has(u)) userConversations.set(u, new Set());
+        userConversations.get(u).add(conv.id);
+      }
+    }
+    return callback(null, toConversation(directConversations.get(directPairs.get(key)), username));
+  })().catch((e) => callback(e));
+}
+
+function ListConversations(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const limit = Math.max(1, Math.min(200, Number(call.request?.limit || 50)));
+    const conversations = Array.from(userConversations.get(username) || [], (id) =>
+      toConversation(directConversations.get(id), username)
+    )
+      .sort(
+        (a, b) =>
+          b.last_message_ts_ms - a.last_message_ts_ms || b.conversation_id - a.conversation_id
+      )
+      .slice(0, limit);
+    return callback(null, { conversations });
+  })().catch((e) => callback(e));
+}
+
+function SendDirectMessage(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    const text = call.request?.text;
+    if (!Number(call.request?.conversation_id) || !text) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: "conversation_id, text required",
+      });
+    }
+    const conv = getConversationOrThrow(call.request.conversation_id, username);
+
+    const msg_id = call.request?.msg_id || "";
+    const seen = msg_id ? conv.msgIds.get(msg_id) : null;
+    if (seen) {
+      return callback(null, {
+        ok: true,
+        message: "DUPLICATE",
+        server_seq: seen.server_seq,
+        server_ts_ms: seen.ts_ms,
+      });
+    }
+
+    const msg = {
+      server_seq: ++DIRECT_SEQ,
+      sender_name: username,
+      text,
+      client_ts_ms: Number(call.request?.client_ts_ms || 0),
+      ts_ms: Date.now(),
+      msg_id,
+    };
+    conv.messages.push(msg);
+    if (msg_id) conv.msgIds.set(msg_id, msg);
+
+    const out = toDirectMessage(conv, msg);
+    for (const u of [conv.user_a, conv.user_b]) {
+      for (const streamCall of inboxSubscribers.get(u) || []) {
+        try {
+          streamCall.write(out);
+        } catch (_) {}
+      }
+    }
+
+    return callback(null, {
+      ok: true,
+      message: "OK",
+      server_seq: msg.server_seq,
+      server_ts_ms: msg.ts_ms,
+    });
+  })().catch((e) => callback(e));
+}
+
+function GetDirectHistory(call, callback) {
+  (async () => {
+    const cred = getCred(call.request);
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    if (!Number(call.request?.conversation_id)) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "conversation_id required" });
+    }
+    const conv = getConversationOrThrow(call.request.conversation_id, username);
+
+    const limit = Math.max(1, Math.min(200, Number(call.request?.limit || 20)));
+    const before = Number(call.request?.before_server_seq || 0);
+    const after = Number(call.request?.after_server_seq || 0);
+
+    // Same cursor semantics as GetHistory.
+    const arr = conv.messages;
+    const lo = after > 0 ? indexAfterSeq(arr, after) : 0;
+    const hi = before > 0 ? indexAfterSeq(arr, before - 1) : arr.length;
+
+    let page;
+    let has_more;
+    if (after > 0) {
+      page = arr.slice(lo, Math.min(hi, lo + limit));
+      has_more = lo + limit < hi;
+    } else {
+      page = arr.slice(Math.max(lo, hi - limit), hi);
+      has_more = hi - limit > lo;
+    }
+
+    let next_cursor = 0;
+    if (page.length) {
+      next_cursor = after > 0 ? page[page.length - 1].server_seq : page[0].server_seq;
+    }
+
+    return callback(null, {
+      messages: page.map((m) => toDirectMessage(conv, m)),
+      next_cursor,
+      has_more,
+    });
+  })().catch((e) => callback(e));
+}
+
+function SubscribeInbox(call) {
+  (async () => {
+    const cred = call.request?.auth?.credential || "";
+    const username = await validateCredentialOrThrowAsync(cred);
+
+    // Replay + register in the same tick, as in Subscribe.
+    const sinceSeq = Number(call.request?.since_server_seq || 0);
+    if (sinceSeq > 0) {
+      const backlog = [];
+      for (const id of userConversations.get(username) || []) {
+        const conv = directConversations.get(id);
+        for (const m of historyAfter(conv.messages, sinceSeq)) {
+          backlog.push(toDirectMessage(conv, m));
+        }
+      }
+      backlog.sort((a, b) => a.server_seq - b.server_seq);
+      for (const m of backlog) call.write(m);
+    }
+
+    if (!inboxSubscribers.has(username)) inboxSubscribers.set(username, new Set());
+    const subs = inboxSubscribers.get(username);
+    subs.add(call);
+
+    const cleanup = () => {
+      subs.delete(call);
+      if (subs.size === 0 && inboxSubscribers.get(username) === subs) {
+        inboxSubscribers.delete(username);
+      }
+    };
+    call.on("cancelled", cleanup);
+    call.on("error", cleanup);
+    call.on("close", cleanup);
+    call.on("end", cleanup);
+  })().catch((e) => {
+    call.emit("error", e);
+    call.end();
+  });
+}
+
+// ==========================
+// Boot both servers (2 ports)
+// ==========================
+function startServer(port, addServicesFn, name) {
+  const server = new grpc.Server();
   addServicesFn(server);
 
   const addr = `0.0.0.0:${port}`;
@@ -480,6 +2334,27 @@ function startServer(port, addServicesFn, name) {
 async function main() {
   dbPool = await connectWithRetry();
   await ensureSchemaExists(dbPool);
+  await loadRevokedSessions(dbPool);
+
+  // ONLINE -> IDLE happens without any event, so re-check periodically
+  setInterval(() => {
+    for (const [roomName, people] of roomPresence) {
+      for (const personName of people.keys()) refreshPresence(roomName, personName);
+    }
+  }, PRESENCE_SWEEP_MS).unref();
+
+  // Typing indicators lapse without a stop from the client
+  setInterval(() => {
+    const now = Date.now();
+    for (const [roomName, people] of roomTyping) {
+      for (const [personName, t] of people) {
+        if (t.expires_at_ms <= now) stopTyping(roomName, personName);
+      }
+    }
+    for (const [personName, w] of typingWindows) {
+      if (now - w.start >= TYPING_WINDOW_MS) typingWindows.delete(personName);
+    }
+  }, TYPING_SWEEP_MS).unref();
 
   // LoginService on 50051
   startServer(
@@ -490,7 +2365,11 @@ async function main() {
         Validate,
         AddUser,
         RemoveUser,
+        UserExists,
         WhoIsLoggedIn,
+        Logout,
+        RevokeSession,
+        RefreshCredential,
       });
     },
     "Monolith LoginService"
@@ -507,8 +2386,38 @@ async function main() {
         LeaveRoom,
         GetPeople,
         Subscribe,
+        SubscribeEvents,
         SendMessage,
+        EditMessage,
+        DeleteMessage,
+        AddReaction,
+        RemoveReaction,
+        GetThread,
+        MarkRead,
+        SetTyping,
+        ListMyRooms,
+        SearchMessages,
+        ListNotifications,
+        AckNotification,
+        SubscribeNotifications,
+        OpenDirectConversation,
+        ListConversations,
+        SendDirectMessage,
+        GetDirectHistory,
+        SubscribeInbox,
         GetHistory,
+        GetPresence,
+        ListRooms,
+        SetMemberRole,
+        InviteToRoom,
+        ListInvites,
+        AcceptInvite,
+        KickMember,
+        BanMember,
+        UnbanMember,
+        GetRoom,
+        UpdateRoom,
+        RenameRoom,
       });
     },
     "Monolith GatewayService"
@@ -21,6 +21,11 @@ const scenarioMap = {
   "9": "./scenarios/scenario9_login_100_chat_2m",
   "10": "./scenarios/scenario10_login_1000_chat_2m",
   "11": "./scenarios/scenario11_login_5000_chat_2m",
+
+  // Functional: authorization and revocation
+  "12": "./scenarios/scenario12_private_rooms_authz",
+  "13": "./scenarios/scenario13_kick_ban",
+  "14": "./scenarios/scenario14_token_revoke",
   
     // --- MONOLITH (mono_) ---
 
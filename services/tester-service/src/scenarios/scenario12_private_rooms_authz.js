@@ -0,0 +1,170 @@
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+
+function loadProto(protoPath) {
+  const packageDef = protoLoader.loadSync(protoPath, {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+  });
+  return grpc.loadPackageDefinition(packageDef);
+}
+
+function unaryAsync(fn, req) {
+  return new Promise((resolve, reject) => {
+    fn(req, (err, res) => (err ? reject(err) : resolve(res)));
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(`ASSERTION FAILED: ${message}`);
+}
+
+async function expectCode(promise, code, label) {
+  try {
+    await promise;
+  } catch (e) {
+    assert(e.code === code, `${label}: expected code=${code}, got code=${e.code} (${e.details})`);
+    console.log(`   -> PASS (${label}): ${e.details}`);
+    return;
+  }
+  throw new Error(`${label}: expected code=${code}, but request succeeded`);
+}
+
+// Room roles (user-012), private rooms and invites (user-013) and search
+// visibility (user-023), as seen through the gateway by three fresh users.
+async function run({ env }) {
+  const LOGIN_ADDR = env.LOGIN_ADDR || "login-service:50051";
+  const GATEWAY_ADDR = env.GATEWAY_ADDR || "gateway-service:50052";
+
+  const authProto = loadProto("/contracts/proto/auth.proto");
+  const gwProto = loadProto("/contracts/proto/gateway.proto");
+
+  const loginClient = new authProto.auth.LoginService(
+    LOGIN_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const gatewayClient = new gwProto.gateway.GatewayService(
+    GATEWAY_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const gw = (rpc, cred, req = {}) =>
+    unaryAsync(gatewayClient[rpc].bind(gatewayClient), { auth: { credential: cred }, ...req });
+
+  const runId = Date.now().toString(36);
+  const roomName = `authz-${runId}`;
+  const secret = `zebra${runId}`;
+
+  console.log(`Scenario 12: private room authorization ("${roomName}")...`);
+
+  // 1) Fresh users, so re-runs never see old roles, invites or bans
+  const cred = {};
+  for (const who of ["owner", "member", "outsider"]) {
+    const username = `authz_${who}_${runId}`;
+    await unaryAsync(loginClient.AddUser.bind(loginClient), { username, password: "pw" });
+    const res = await unaryAsync(loginClient.Login.bind(loginClient), { username, password: "pw" });
+    cred[who] = res.credential;
+    cred[`${who}_name`] = username;
+  }
+  console.log("1) Added and logged in owner, member, outsider");
+
+  // 2) Owner creates a private room and posts in it
+  console.log("2) Owner creates private room, enters it and sends a message...");
+  await gw("CreateRoom", cred.owner, { room_name: roomName, is_private: true });
+  await gw("EnterRoom", cred.owner, { room_name: roomName });
+  await gw("SendMessage", cred.owner, {
+    room_name: roomName,
+    text: `the ${secret} is in the private room`,
+    client_ts_ms: Date.now(),
+  });
+
+  // 3) Non-members can't see, enter, read or search it
+  console.log("3) Outsider is kept out...");
+  const listed = await gw("ListRooms", cred.outsider, { name_prefix: roomName, page_size: 10 });
+  assert(
+    !listed.rooms.some((r) => r.room_name === roomName),
+    "private room must be hidden from ListRooms for non-members"
+  );
+  console.log("   -> PASS (hidden from ListRooms)");
+  await expectCode(
+    gw("EnterRoom", cred.outsider, { room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "EnterRoom without invite"
+  );
+  await expectCode(
+    gw("GetPeople", cred.outsider, { room_name: roomName }),
+    grpc.status.NOT_FOUND,
+    "GetPeople by non-member"
+  );
+  await expectCode(
+    gw("GetHistory", cred.outsider, { room_name: roomName, limit: 5 }),
+    grpc.status.PERMISSION_DENIED,
+    "GetHistory by non-member"
+  );
+  await expectCode(
+    gw("SearchMessages", cred.outsider, { query: secret, room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "SearchMessages in a room the caller is not in"
+  );
+  const outsiderHits = await gw("SearchMessages", cred.outsider, { query: secret });
+  assert(outsiderHits.hits.length === 0, "search must not return hits from other people's rooms");
+  console.log("   -> PASS (no cross-room search hits)");
+
+  // 4) Invite, accept, and the member sees what the outsider couldn't
+  console.log("4) Owner invites member; member accepts...");
+  await gw("InviteToRoom", cred.owner, { room_name: roomName, person_name: cred.member_name });
+  const invites = await gw("ListInvites", cred.member);
+  assert(
+    invites.invites.some((i) => i.room_name === roomName && i.invited_by === cred.owner_name),
+    "member must see the pending invite"
+  );
+  await gw("AcceptInvite", cred.member, { room_name: roomName });
+  const people = await gw("GetPeople", cred.member, { room_name: roomName });
+  assert(people.people.includes(cred.member_name), "member must be in the room after AcceptInvite");
+  const memberHits = await gw("SearchMessages", cred.member, { query: secret });
+  assert(memberHits.hits.length >= 1, "member must find the message by search");
+  console.log(`   -> PASS (member in room, search_hits=${memberHits.hits.length})`);
+
+  // 5) Roles: members can't promote or delete; owners can
+  console.log("5) Role checks...");
+  await expectCode(
+    gw("SetMemberRole", cred.member, {
+      room_name: roomName,
+      person_name: cred.member_name,
+      role: "ROOM_ROLE_MODERATOR",
+    }),
+    grpc.status.PERMISSION_DENIED,
+    "SetMemberRole by member"
+  );
+  await expectCode(
+    gw("InviteToRoom", cred.member, { room_name: roomName, person_name: cred.outsider_name }),
+    grpc.status.PERMISSION_DENIED,
+    "InviteToRoom by member"
+  );
+  await expectCode(
+    gw("DeleteRoom", cred.member, { room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "DeleteRoom by member"
+  );
+  await gw("SetMemberRole", cred.owner, {
+    room_name: roomName,
+    person_name: cred.member_name,
+    role: "ROOM_ROLE_MODERATOR",
+  });
+  await expectCode(
+    gw("DeleteRoom", cred.member, { room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "DeleteRoom by moderator"
+  );
+
+  // 6) Clean up
+  console.log("6) Owner deletes the room...");
+  const del = await gw("DeleteRoom", cred.owner, { room_name: roomName });
+  console.log(`   -> ok=${del.ok} message="${del.message}"`);
+
+  console.log("Scenario 12: PASS ✅");
+}
+
+module.exports = { run };
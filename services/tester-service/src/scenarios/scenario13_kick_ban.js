@@ -0,0 +1,176 @@
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+
+function loadProto(protoPath) {
+  const packageDef = protoLoader.loadSync(protoPath, {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+  });
+  return grpc.loadPackageDefinition(packageDef);
+}
+
+function unaryAsync(fn, req) {
+  return new Promise((resolve, reject) => {
+    fn(req, (err, res) => (err ? reject(err) : resolve(res)));
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(`ASSERTION FAILED: ${message}`);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function expectCode(promise, code, label) {
+  try {
+    await promise;
+  } catch (e) {
+    assert(e.code === code, `${label}: expected code=${code}, got code=${e.code} (${e.details})`);
+    console.log(`   -> PASS (${label}): ${e.details}`);
+    return;
+  }
+  throw new Error(`${label}: expected code=${code}, but request succeeded`);
+}
+
+// Resolves with the status code the stream ends with; rejects after timeoutMs.
+function streamEnd(stream, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stream.cancel();
+      reject(new Error(`stream still open after ${timeoutMs}ms`));
+    }, timeoutMs);
+    stream.on("data", () => {});
+    stream.on("error", (err) => {
+      clearTimeout(timer);
+      resolve(err.code);
+    });
+    stream.on("end", () => {
+      clearTimeout(timer);
+      resolve(grpc.status.OK);
+    });
+  });
+}
+
+// KickMember / BanMember / UnbanMember (user-014): role checks, EnterRoom
+// refusal, and the banned person's live Subscribe ending with PERMISSION_DENIED.
+async function run({ env }) {
+  const LOGIN_ADDR = env.LOGIN_ADDR || "login-service:50051";
+  const GATEWAY_ADDR = env.GATEWAY_ADDR || "gateway-service:50052";
+  const STREAM_END_MS = parseInt(env.STREAM_END_MS || "5000", 10);
+
+  const authProto = loadProto("/contracts/proto/auth.proto");
+  const gwProto = loadProto("/contracts/proto/gateway.proto");
+
+  const loginClient = new authProto.auth.LoginService(
+    LOGIN_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const gatewayClient = new gwProto.gateway.GatewayService(
+    GATEWAY_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const gw = (rpc, cred, req = {}) =>
+    unaryAsync(gatewayClient[rpc].bind(gatewayClient), { auth: { credential: cred }, ...req });
+
+  const runId = Date.now().toString(36);
+  const roomName = `bans-${runId}`;
+
+  console.log(`Scenario 13: kick and ban ("${roomName}")...`);
+
+  // 1) Fresh users, all in one public room
+  const cred = {};
+  for (const who of ["owner", "member", "bystander"]) {
+    const username = `ban_${who}_${runId}`;
+    await unaryAsync(loginClient.AddUser.bind(loginClient), { username, password: "pw" });
+    const res = await unaryAsync(loginClient.Login.bind(loginClient), { username, password: "pw" });
+    cred[who] = res.credential;
+    cred[`${who}_name`] = username;
+  }
+  await gw("CreateRoom", cred.owner, { room_name: roomName });
+  for (const who of ["owner", "member", "bystander"]) {
+    await gw("EnterRoom", cred[who], { room_name: roomName });
+  }
+  console.log("1) owner, member, bystander in the room");
+
+  // 2) Members can't moderate; nobody can remove the owner
+  console.log("2) Role checks...");
+  await expectCode(
+    gw("KickMember", cred.member, { room_name: roomName, person_name: cred.bystander_name }),
+    grpc.status.PERMISSION_DENIED,
+    "KickMember by member"
+  );
+  await expectCode(
+    gw("BanMember", cred.member, { room_name: roomName, person_name: cred.bystander_name }),
+    grpc.status.PERMISSION_DENIED,
+    "BanMember by member"
+  );
+  await expectCode(
+    gw("BanMember", cred.member, { room_name: roomName, person_name: cred.owner_name }),
+    grpc.status.FAILED_PRECONDITION,
+    "BanMember targeting the owner"
+  );
+
+  // 3) Kick: the live stream ends, the person may come back
+  console.log("3) Kick ends the member's stream...");
+  let stream = gatewayClient.Subscribe({ auth: { credential: cred.member }, room_name: roomName });
+  let ended = streamEnd(stream, STREAM_END_MS);
+  await sleep(300);
+  await gw("KickMember", cred.owner, { room_name: roomName, person_name: cred.member_name });
+  let code = await ended;
+  assert(code === grpc.status.PERMISSION_DENIED, `kicked stream: expected 7, got code=${code}`);
+  let people = await gw("GetPeople", cred.owner, { room_name: roomName });
+  assert(!people.people.includes(cred.member_name), "kicked member must leave the room");
+  await gw("EnterRoom", cred.member, { room_name: roomName });
+  console.log("   -> PASS (stream PERMISSION_DENIED, member re-entered)");
+
+  // 4) Permanent ban: stream ends and EnterRoom is refused until unbanned
+  console.log("4) Ban ends the member's stream and blocks EnterRoom...");
+  stream = gatewayClient.Subscribe({ auth: { credential: cred.member }, room_name: roomName });
+  ended = streamEnd(stream, STREAM_END_MS);
+  await sleep(300);
+  const ban = await gw("BanMember", cred.owner, {
+    room_name: roomName,
+    person_name: cred.member_name,
+  });
+  assert(Number(ban.expires_at_ms) === 0, "ban without duration must be permanent");
+  code = await ended;
+  assert(code === grpc.status.PERMISSION_DENIED, `banned stream: expected 7, got code=${code}`);
+  await expectCode(
+    gw("EnterRoom", cred.member, { room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "EnterRoom while banned"
+  );
+  await gw("UnbanMember", cred.owner, { room_name: roomName, person_name: cred.member_name });
+  await gw("EnterRoom", cred.member, { room_name: roomName });
+  console.log("   -> PASS (unbanned member re-entered)");
+
+  // 5) Timed ban lapses by itself
+  console.log("5) Timed ban...");
+  const timed = await gw("BanMember", cred.owner, {
+    room_name: roomName,
+    person_name: cred.member_name,
+    duration_ms: 1500,
+  });
+  assert(Number(timed.expires_at_ms) > Date.now(), "timed ban must report its expiry");
+  await expectCode(
+    gw("EnterRoom", cred.member, { room_name: roomName }),
+    grpc.status.PERMISSION_DENIED,
+    "EnterRoom during timed ban"
+  );
+  // room_bans.expires_at has second resolution; allow for it and clock skew
+  await sleep(Number(timed.expires_at_ms) - Date.now() + 1500);
+  await gw("EnterRoom", cred.member, { room_name: roomName });
+  console.log("   -> PASS (EnterRoom after the ban lapsed)");
+
+  // 6) Clean up
+  console.log("6) Owner deletes the room...");
+  const del = await gw("DeleteRoom", cred.owner, { room_name: roomName });
+  console.log(`   -> ok=${del.ok} message="${del.message}"`);
+
+  console.log("Scenario 13: PASS ✅");
+}
+
+module.exports = { run };
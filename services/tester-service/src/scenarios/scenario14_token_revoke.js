@@ -0,0 +1,122 @@
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+
+function loadProto(protoPath) {
+  const packageDef = protoLoader.loadSync(protoPath, {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true,
+  });
+  return grpc.loadPackageDefinition(packageDef);
+}
+
+function unaryAsync(fn, req) {
+  return new Promise((resolve, reject) => {
+    fn(req, (err, res) => (err ? reject(err) : resolve(res)));
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(`ASSERTION FAILED: ${message}`);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Logout / RevokeSession / RefreshCredential (user-006) must reach the gateway's
+// credential cache (user-007) and signed-token verifiers (user-008). Works in
+// either TOKEN_MODE: revocations are allowed REVOKE_WAIT_MS to propagate.
+async function run({ env }) {
+  const LOGIN_ADDR = env.LOGIN_ADDR || "login-service:50051";
+  const GATEWAY_ADDR = env.GATEWAY_ADDR || "gateway-service:50052";
+  const REVOKE_WAIT_MS = parseInt(env.REVOKE_WAIT_MS || "5000", 10);
+
+  const authProto = loadProto("/contracts/proto/auth.proto");
+  const gwProto = loadProto("/contracts/proto/gateway.proto");
+
+  const loginClient = new authProto.auth.LoginService(
+    LOGIN_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const gatewayClient = new gwProto.gateway.GatewayService(
+    GATEWAY_ADDR,
+    grpc.credentials.createInsecure()
+  );
+  const login = (rpc, req) => unaryAsync(loginClient[rpc].bind(loginClient), req);
+  const listMyRooms = (cred) =>
+    unaryAsync(gatewayClient.ListMyRooms.bind(gatewayClient), { auth: { credential: cred } });
+
+  async function expectAccepted(cred, label) {
+    const v = await login("Validate", { credential: cred });
+    assert(v.valid, `${label}: Validate must accept the credential`);
+    await listMyRooms(cred);
+    await listMyRooms(cred); // second call may be served from the gateway cache
+    console.log(`   -> PASS (${label}: accepted)`);
+  }
+
+  async function expectRejected(cred, label) {
+    const v = await login("Validate", { credential: cred });
+    assert(!v.valid, `${label}: Validate must reject the credential`);
+
+    const deadline = Date.now() + REVOKE_WAIT_MS;
+    for (;;) {
+      try {
+        await listMyRooms(cred);
+      } catch (e) {
+        assert(e.code === grpc.status.UNAUTHENTICATED, `${label}: got code=${e.code}`);
+        console.log(`   -> PASS (${label}: UNAUTHENTICATED)`);
+        return;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`${label}: gateway still accepts it after ${REVOKE_WAIT_MS}ms`);
+      }
+      await sleep(200);
+    }
+  }
+
+  const username = `revoke_${Date.now().toString(36)}`;
+  const password = "pw";
+
+  console.log(`Scenario 14: credential revocation ("${username}")...`);
+  await login("AddUser", { username, password });
+
+  // 1) Fresh credential works everywhere
+  console.log("1) Login...");
+  const cred1 = (await login("Login", { username, password })).credential;
+  await expectAccepted(cred1, "fresh credential");
+
+  // 2) Rotating refresh revokes the old credential
+  console.log("2) RefreshCredential(rotate=true)...");
+  const rotated = await login("RefreshCredential", { credential: cred1, rotate: true });
+  const cred2 = rotated.credential;
+  assert(cred2 && cred2 !== cred1, "rotate must issue a new credential");
+  assert(new Date(rotated.expires_at_iso) > new Date(), "expires_at_iso must be in the future");
+  await expectAccepted(cred2, "rotated credential");
+  await expectRejected(cred1, "credential replaced by rotation");
+
+  // 3) Logout
+  console.log("3) Logout...");
+  const out = await login("Logout", { credential: cred2 });
+  assert(out.ok, "Logout must revoke the session");
+  await expectRejected(cred2, "logged-out credential");
+
+  // 4) Admin RevokeSession by credential, leaving other sessions alone
+  console.log("4) RevokeSession...");
+  const cred3 = (await login("Login", { username, password })).credential;
+  const cred4 = (await login("Login", { username, password })).credential;
+  await expectAccepted(cred3, "session to revoke");
+  const revoked = await login("RevokeSession", { credential: cred3 });
+  assert(revoked.ok, "RevokeSession must revoke the session");
+  await expectRejected(cred3, "revoked session");
+  await expectAccepted(cred4, "other session of the same user");
+
+  // 5) RemoveUser ends the remaining sessions
+  console.log("5) RemoveUser...");
+  await login("RemoveUser", { username });
+  await expectRejected(cred4, "session of a removed user");
+
+  console.log("Scenario 14: PASS ✅");
+}
+
+module.exports = { run };